@@ -1,12 +1,57 @@
 // AI Content Guardian - Background Script
 // Handles communication between content scripts and API services
 
+// Local detection and rephrase engine, used when the analysis server is unavailable
+importScripts('utils/lexicon.js', 'utils/ai-service.js');
+
+// Compile the full term dictionary for the local engine
+// Until it's ready, local analysis uses the engine's small built-in term list
+let baseLexicon = null;
+const lexiconReady = AIGuardianLexicon.loadLexicon(chrome.runtime.getURL('replacements_large.csv'))
+  .then(lexicon => {
+    baseLexicon = lexicon;
+    console.log(`AI Content Guardian: Loaded ${lexicon.size} lexicon terms`);
+  })
+  .catch(error => {
+    console.error('Error loading lexicon, using built-in terms:', error);
+  })
+  .then(applyCustomLexicon);
+
+// Custom terms from the options page, also sent to the server with each request
+// The options page keeps the list within the server's limit; longer lists saved elsewhere are cut to it
+const MAX_CUSTOM_TERMS = 5000;
+let customLexiconEntries = [];
+
+// Identifies the custom terms in use, so cached verdicts made without them aren't reused
+let customLexiconRevision = '';
+
 // Configuration settings
 const DEFAULT_SETTINGS = {
   enabled: true,
   autoRephrase: true,
   showWarnings: true,
-  sensitivityLevel: 'medium' // Options: low, medium, high
+  sensitivityLevel: 'medium', // Options: low, medium, high
+  confirmRevealHarmful: false, // Ask before showing the original of harmful content
+  composeGuard: false, // Check what the user types in text fields and editors
+  blurUntilAnalyzed: false, // Blur text that scrolls into view before its verdict arrives
+  // What to do with flagged content per category: rephrase, blur, collapse, warn or allow
+  categoryActions: {
+    offensive: 'rephrase',
+    inappropriate: 'rephrase',
+    harmful: 'rephrase'
+  },
+  // CSS selectors set on the options page; empty lists use the content script's built-in rules
+  ignoreSelectors: [], // Elements never scanned, replacing the built-in class patterns
+  contentSelectors: [] // Main content areas scanned first, replacing the built-in list
+};
+
+// Analysis backend configuration
+const DEFAULT_BACKEND = {
+  url: 'http://localhost:5000',
+  authHeader: '', // Sent as the Authorization header when set
+  timeout: 5000, // Milliseconds before a request is abandoned
+  mode: 'remote-preferred', // Options: remote-preferred, remote-only, local-only
+  shareFeedback: false // POST labeled feedback to the server's /feedback route
 };
 
 // Default statistics
@@ -17,6 +62,70 @@ const DEFAULT_STATS = {
   lastReset: Date.now()
 };
 
+// Analysis result format produced by the local engine
+// Version 2 adds `spans` (matched terms with offsets); servers without a version are treated as version 1
+// Version 3 adds `language`, the detected language code ('und' when it can't be told)
+const ANALYSIS_RESULT_VERSION = 3;
+
+// Remote analyses requested within this window are sent together to /analyze/batch
+const ANALYZE_BATCH_WINDOW_MS = 100;
+const MAX_ANALYZE_BATCH_SIZE = 50;
+
+// Analysis results are cached across pages, least recently used first out
+const MAX_ANALYSIS_CACHE_ENTRIES = 500;
+const ANALYSIS_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const ANALYSIS_CACHE_SAVE_DELAY_MS = 2000;
+
+// Days of statistics history kept in storage
+const STATS_HISTORY_DAYS = 90;
+
+// Categories counted separately in the statistics history
+const STATS_CATEGORIES = ['harmful', 'offensive', 'inappropriate'];
+
+// Statistics are counted in memory and written in batches this long after the first event
+const STATS_FLUSH_DELAY_MS = 2000;
+
+// Most recent feedback entries kept in storage
+const MAX_FEEDBACK_ENTRIES = 500;
+
+// Context menu entries for selected text
+// Check and rephrase open a panel in the page; flag reports harmful content the scan missed
+const CHECK_SELECTION_MENU_ID = 'ai-guardian-check-selection';
+const REPHRASE_SELECTION_MENU_ID = 'ai-guardian-rephrase-selection';
+const FLAG_SELECTION_MENU_ID = 'ai-guardian-flag-selection';
+
+// Per-category confidence cutoffs for each sensitivity level
+// A category is only reported when its confidence meets the cutoff,
+// so higher sensitivity flags content the classifier is less sure about
+const SENSITIVITY_THRESHOLDS = {
+  low: { harmful: 0.65, offensive: 0.8, inappropriate: 0.8 },
+  medium: { harmful: 0.5, offensive: 0.6, inappropriate: 0.6 },
+  high: { harmful: 0.3, offensive: 0.4, inappropriate: 0.4 }
+};
+
+// Remote analyses waiting for the next batch request
+let analyzeQueue = [];
+let analyzeQueueTimer = null;
+
+// Servers that answered /analyze/batch with 404 or 405 get single /analyze calls
+const batchUnsupportedUrls = new Set();
+
+// Latest model version reported by each analysis server, part of the cache key
+const serverModelVersions = new Map();
+
+// Cached analysis results by cache key, in least to most recently used order
+// Loaded from storage when the service worker starts
+const analysisCache = new Map();
+const analysisCacheReady = loadAnalysisCache();
+let analysisCacheSaveTimer = null;
+
+// Statistics increments not yet written to storage
+let pendingStats = createPendingStats();
+let statsFlushTimer = null;
+
+// Serializes stats writes so a flush never overlaps another flush or a reset
+let statsWriteQueue = Promise.resolve();
+
 // Initialize settings and stats when extension is installed
 chrome.runtime.onInstalled.addListener(() => {
   chrome.storage.local.set({ 
@@ -26,13 +135,62 @@ chrome.runtime.onInstalled.addListener(() => {
   console.log('AI Content Guardian installed with default settings.');
 });
 
+// Register context menu entries (menus persist, so only on install and update)
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CHECK_SELECTION_MENU_ID,
+      title: 'Check with AI Content Guardian',
+      contexts: ['selection']
+    });
+    chrome.contextMenus.create({
+      id: REPHRASE_SELECTION_MENU_ID,
+      title: 'Rephrase selection',
+      contexts: ['selection']
+    });
+    chrome.contextMenus.create({
+      id: FLAG_SELECTION_MENU_ID,
+      title: 'Flag this selection as harmful',
+      contexts: ['selection']
+    });
+  });
+});
+
+// Handle context menu clicks
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!info.selectionText) {
+    return;
+  }
+  
+  // The page's content script runs the check through ANALYZE_TEXT / REPHRASE_TEXT and shows the panel
+  if (info.menuItemId === CHECK_SELECTION_MENU_ID || info.menuItemId === REPHRASE_SELECTION_MENU_ID) {
+    const action = info.menuItemId === CHECK_SELECTION_MENU_ID ? 'check' : 'rephrase';
+    chrome.tabs.sendMessage(tab.id, { type: 'SELECTION_ACTION', action, text: info.selectionText }, { frameId: info.frameId || 0 })
+      .catch(error => {
+        console.log('Content script not available for selection action in tab:', tab.id);
+      });
+  }
+  
+  if (info.menuItemId === FLAG_SELECTION_MENU_ID) {
+    recordFeedback({ text: info.selectionText, label: 'harmful', source: 'selection' })
+      .then(() => {
+        notifyTab(tab, 'Thanks! This selection was reported as harmful.');
+      });
+  }
+});
+
+// Write pending statistics before the service worker is unloaded
+chrome.runtime.onSuspend.addListener(() => {
+  flushStats();
+  saveAnalysisCache();
+});
+
 // Track when tab URL changes to trigger content refresh
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   // Only when URL changes and page is complete
   if (changeInfo.status === 'complete') {
-    chrome.storage.local.get('settings', (data) => {
-      const settings = data.settings || DEFAULT_SETTINGS;
-      if (settings.enabled) {
+    getTabProtection(tab, (enabled) => {
+      if (enabled) {
         // Notify content script to re-analyze the page content
         chrome.tabs.sendMessage(tabId, { type: 'PAGE_CHANGED' })
           .catch(error => {
@@ -44,17 +202,77 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
+// Recompile the local lexicon when custom terms are edited on the options page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.customLexicon) {
+    lexiconReady.then(applyCustomLexicon);
+  }
+});
+
+// Forget a tab's protection toggle once the tab is closed
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.get('tabProtection', (data) => {
+    const tabProtection = data.tabProtection || {};
+    if (tabId in tabProtection) {
+      delete tabProtection[tabId];
+      chrome.storage.session.set({ tabProtection });
+    }
+  });
+});
+
+// Handle the keyboard shortcuts declared under "commands" in manifest.json
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab || tab.id === undefined) {
+    return;
+  }
+  
+  if (command === 'toggle-protection') {
+    toggleTabProtection(tab);
+  }
+  
+  if (command === 'rescan-page') {
+    getTabProtection(tab, (enabled) => {
+      if (!enabled) {
+        notifyTab(tab, 'Protection is off for this tab.');
+        return;
+      }
+      
+      // The content script resets and re-analyzes the page, as after a navigation
+      chrome.tabs.sendMessage(tab.id, { type: 'PAGE_CHANGED' })
+        .then(() => notifyTab(tab, 'Rescanning this page.'))
+        .catch(error => {
+          console.log('Content script not available for rescan in tab:', tab.id);
+        });
+    });
+  }
+  
+  if (command === 'toggle-originals') {
+    toggleOriginalsInTab(tab.id).then(response => {
+      if (!response) {
+        console.log('Content script not available to toggle originals in tab:', tab.id);
+      }
+    });
+  }
+});
+
 // Handle messages from content scripts and popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'ANALYZE_TEXT') {
-    analyzeTextContent(message.text)
+    analyzeForRequest(message.text, message.sensitivityLevel)
       .then(result => {
         // Update statistics if harmful content was found
         if (result && result.isHarmful) {
           updateStatistics('harmful');
         }
-        // Always update analyzed count
-        updateStatistics('analyzed');
+        // Update analyzed count for every completed analysis
+        if (result && !result.error) {
+          updateStatistics('analyzed');
+          recordStatsHistory('analyzed', {
+            hostname: sender.tab && getHostname(sender.tab.url),
+            category: result.isHarmful ? result.category : null,
+            source: result.source
+          });
+        }
         sendResponse(result);
       })
       .catch(error => {
@@ -70,6 +288,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         // Update statistics for rephrased content
         if (result && !result.error) {
           updateStatistics('rephrased');
+          recordStatsHistory('rephrased', {
+            hostname: sender.tab && getHostname(sender.tab.url)
+          });
         }
         sendResponse(result);
       })
@@ -80,131 +301,1018 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Indicates asynchronous response
   }
 
+  if (message.type === 'TEST_BACKEND') {
+    // Test the unsaved configuration from the popup if one was sent
+    const backendPromise = message.backend
+      ? Promise.resolve({ ...DEFAULT_BACKEND, ...message.backend })
+      : getBackendConfig();
+    
+    backendPromise
+      .then(checkBackendHealth)
+      .then(sendResponse);
+    return true; // Indicates asynchronous response
+  }
+
+  if (message.type === 'SUBMIT_FEEDBACK') {
+    recordFeedback({
+      text: message.text,
+      label: message.label,
+      category: message.category,
+      source: message.source
+    })
+      .then(entry => sendResponse({ success: true, entry }))
+      .catch(error => {
+        console.error('Error recording feedback:', error);
+        sendResponse({ error: 'Failed to record feedback' });
+      });
+    return true; // Indicates asynchronous response
+  }
+
+  if (message.type === 'TOGGLE_ORIGINALS') {
+    toggleOriginalsInTab(message.tabId).then(sendResponse);
+    return true; // Indicates asynchronous response
+  }
+
+  if (message.type === 'GET_CACHE_INFO') {
+    analysisCacheReady.then(() => {
+      sendResponse({ size: analysisCache.size });
+    });
+    return true; // Indicates asynchronous response
+  }
+  
+  if (message.type === 'CLEAR_ANALYSIS_CACHE') {
+    clearAnalysisCache().then(cleared => {
+      sendResponse({ success: true, cleared });
+    });
+    return true; // Indicates asynchronous response
+  }
+  
   if (message.type === 'GET_SETTINGS') {
-    chrome.storage.local.get('settings', (data) => {
-      sendResponse({ settings: data.settings || DEFAULT_SETTINGS });
+    chrome.storage.local.get(['settings', 'siteRules', 'customLexicon'], (data) => {
+      chrome.storage.session.get('tabProtection', (sessionData) => {
+        // Include the rule for the requesting page's site and its tab's shortcut toggle, if any
+        const hostname = message.hostname || (sender.tab && getHostname(sender.tab.url));
+        const tabProtection = sessionData.tabProtection || {};
+        sendResponse({
+          settings: data.settings || DEFAULT_SETTINGS,
+          siteRule: findSiteRule(data.siteRules, hostname),
+          tabProtection: sender.tab ? tabProtection[sender.tab.id] : undefined,
+          customLexicon: data.customLexicon || []
+        });
+      });
+    });
+    return true; // Indicates asynchronous response
+  }
+  
+  if (message.type === 'GET_SITE_RULE') {
+    chrome.storage.local.get('siteRules', (data) => {
+      sendResponse({ siteRule: findSiteRule(data.siteRules, message.hostname) });
     });
     return true; // Indicates asynchronous response
   }
   
   if (message.type === 'GET_STATS') {
-    chrome.storage.local.get('stats', (data) => {
-      sendResponse({ stats: data.stats || DEFAULT_STATS });
+    // Include pending counts so the totals are current; the popup polls this, so nothing is written
+    readCurrentStats().then(({ stats }) => {
+      sendResponse({ stats });
+    });
+    return true; // Indicates asynchronous response
+  }
+  
+  if (message.type === 'GET_STATS_HISTORY') {
+    readCurrentStats().then(({ history }) => {
+      sendResponse(summarizeStatsHistory(history, message.days || 7));
     });
     return true; // Indicates asynchronous response
   }
   
   if (message.type === 'RESET_STATS') {
     const newStats = { ...DEFAULT_STATS, lastReset: Date.now() };
-    chrome.storage.local.set({ stats: newStats }, () => {
+    
+    // Discard pending counts and reset after any write already in progress
+    clearTimeout(statsFlushTimer);
+    statsFlushTimer = null;
+    pendingStats = createPendingStats();
+    
+    enqueueStatsWrite(() => new Promise(resolve => {
+      chrome.storage.local.set({ stats: newStats, statsHistory: {} }, resolve);
+    })).then(() => {
       sendResponse({ success: true, stats: newStats });
     });
     return true; // Indicates asynchronous response
   }
 });
 
-// Update statistics in storage
-function updateStatistics(type) {
-  chrome.storage.local.get('stats', (data) => {
-    const stats = data.stats || DEFAULT_STATS;
-    
-    // Update the appropriate counter
-    if (type === 'analyzed') {
-      stats.analyzed += 1;
-    } else if (type === 'harmful') {
-      stats.harmful += 1;
-    } else if (type === 'rephrased') {
-      stats.rephrased += 1;
+// Toggle original text in every frame of a tab together
+// Shows all originals unless every frame already shows them, asking once in the top frame first if any are harmful
+// Resolves to { showingOriginals, count } for the whole tab, or null if no frame could be reached
+async function toggleOriginalsInTab(tabId) {
+  let frames;
+  try {
+    frames = await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, func: () => true });
+  } catch (error) {
+    return null;
+  }
+  
+  // Frames without the content script, like sandboxed ones, don't answer and are left out
+  const states = (await Promise.all(frames.map(({ frameId }) =>
+    chrome.tabs.sendMessage(tabId, { type: 'GET_ORIGINALS_STATE' }, { frameId })
+      .then(state => state && state.count > 0 ? { frameId, ...state } : null)
+      .catch(() => null)
+  ))).filter(Boolean);
+  
+  if (states.length === 0) {
+    return frames.some(({ frameId }) => frameId === 0) ? { showingOriginals: false, count: 0 } : null;
+  }
+  
+  const show = states.some(state => !state.allShown);
+  if (show && states.some(state => state.needsConfirm)) {
+    const confirmed = await chrome.tabs.sendMessage(tabId, { type: 'CONFIRM_REVEAL_ALL' }, { frameId: 0 })
+      .catch(() => false);
+    if (confirmed !== true) {
+      return { showingOriginals: false, count: states.reduce((total, state) => total + state.count, 0) };
+    }
+  }
+  
+  const counts = await Promise.all(states.map(({ frameId }) =>
+    chrome.tabs.sendMessage(tabId, { type: 'SET_ORIGINALS', show }, { frameId })
+      .then(response => (response && response.count) || 0)
+      .catch(() => 0)
+  ));
+  return { showingOriginals: show, count: counts.reduce((total, count) => total + count, 0) };
+}
+
+// Analyze text for a content script request, honoring user feedback and sensitivity
+async function analyzeForRequest(text, requestedLevel) {
+  // Text the user marked as not harmful stays unflagged on every page
+  if (await isMarkedNotHarmful(text)) {
+    return {
+      version: ANALYSIS_RESULT_VERSION,
+      text,
+      isHarmful: false,
+      category: 'safe',
+      confidence: 1,
+      spans: [],
+      language: AIGuardianUtils.detectLanguage(text),
+      explanation: 'You marked this content as not harmful',
+      userOverride: true,
+      source: 'feedback'
+    };
+  }
+  
+  const sensitivityLevel = await getSensitivityLevel(requestedLevel);
+  const backend = await getBackendConfig();
+  
+  const cached = await getCachedAnalysis(await getAnalysisCacheKey(text, sensitivityLevel, backend), text);
+  if (cached) {
+    return cached;
+  }
+  
+  const result = applySensitivityThresholds(await analyzeTextContent(text), sensitivityLevel);
+  
+  // Only cache verdicts from the configured engine, not local fallbacks for an unreachable server
+  const expectedSource = backend.mode === 'local-only' ? 'local' : 'server';
+  if (!result.error && result.source === expectedSource) {
+    // The key is rebuilt in case the response reported a new model version
+    setCachedAnalysis(await getAnalysisCacheKey(text, sensitivityLevel, backend), result);
+  }
+  return result;
+}
+
+// Build the cache key for a text: a hash of the normalized text, the sensitivity level and the model version
+async function getAnalysisCacheKey(text, sensitivityLevel, backend) {
+  // Saved model versions are restored with the cache
+  await analysisCacheReady;
+  
+  // Custom terms are only known once the lexicon has been compiled
+  await lexiconReady;
+  
+  const modelVersion = (backend.mode === 'local-only'
+    ? `local:${ANALYSIS_RESULT_VERSION}`
+    : `server:${backend.url}:${serverModelVersions.get(backend.url) || 'unknown'}`) +
+    (customLexiconRevision ? `:${customLexiconRevision}` : '');
+  
+  const normalized = text.normalize('NFC').trim().replace(/\s+/g, ' ');
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+  const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  
+  return `${hash}|${sensitivityLevel}|${modelVersion}`;
+}
+
+// Load cached analysis results saved by an earlier service worker, dropping expired ones
+function loadAnalysisCache() {
+  return new Promise(resolve => {
+    chrome.storage.local.get('analysisCache', (data) => {
+      const saved = data.analysisCache || {};
+      const now = Date.now();
+      (saved.entries || []).forEach(([key, entry]) => {
+        if (now - entry.storedAt < ANALYSIS_CACHE_TTL_MS) {
+          analysisCache.set(key, entry);
+        }
+      });
+      
+      // Keys include the server's model version, so remember it to keep saved entries reachable
+      Object.entries(saved.modelVersions || {}).forEach(([url, version]) => {
+        if (!serverModelVersions.has(url)) {
+          serverModelVersions.set(url, version);
+        }
+      });
+      resolve();
+    });
+  });
+}
+
+// Look up a cached result, marking it as recently used
+// Hits only reorder the cache in memory; the new order is saved with the next stored result
+// or when the service worker is suspended, so repeated text doesn't rewrite the whole cache
+async function getCachedAnalysis(key, text) {
+  await analysisCacheReady;
+  
+  const entry = analysisCache.get(key);
+  if (!entry) {
+    return null;
+  }
+  
+  // Expired entries left in storage are dropped when the cache is next loaded
+  analysisCache.delete(key);
+  if (Date.now() - entry.storedAt >= ANALYSIS_CACHE_TTL_MS) {
+    return null;
+  }
+  
+  analysisCache.set(key, entry);
+  
+  // The same text may differ in spacing, so span offsets are matched to this copy
+  if (entry.result.text === text) {
+    return entry.result;
+  }
+  return { ...entry.result, text, spans: realignSpans(entry.result.spans || [], text) };
+}
+
+// Store a result, evicting the least recently used entries over the limit
+async function setCachedAnalysis(key, result) {
+  await analysisCacheReady;
+  
+  analysisCache.delete(key);
+  analysisCache.set(key, { result, storedAt: Date.now() });
+  
+  while (analysisCache.size > MAX_ANALYSIS_CACHE_ENTRIES) {
+    analysisCache.delete(analysisCache.keys().next().value);
+  }
+  scheduleAnalysisCacheSave();
+}
+
+// Find each span's term again in a differently spaced copy of the text
+function realignSpans(spans, text) {
+  const lowerText = text.toLowerCase();
+  const realigned = [];
+  let searchFrom = 0;
+  
+  spans.forEach(span => {
+    const start = lowerText.indexOf(span.term.toLowerCase(), searchFrom);
+    if (start !== -1) {
+      realigned.push({ ...span, start, end: start + span.term.length });
+      searchFrom = start + span.term.length;
+    }
+  });
+  
+  return realigned;
+}
+
+// Save the cache shortly after it changes
+function scheduleAnalysisCacheSave() {
+  if (!analysisCacheSaveTimer) {
+    analysisCacheSaveTimer = setTimeout(saveAnalysisCache, ANALYSIS_CACHE_SAVE_DELAY_MS);
+  }
+}
+
+// Write the cache to storage in least to most recently used order
+function saveAnalysisCache() {
+  clearTimeout(analysisCacheSaveTimer);
+  analysisCacheSaveTimer = null;
+  chrome.storage.local.set({
+    analysisCache: {
+      entries: Array.from(analysisCache.entries()),
+      modelVersions: Object.fromEntries(serverModelVersions)
+    }
+  });
+}
+
+// Remove every cached result, returning how many there were
+async function clearAnalysisCache() {
+  await analysisCacheReady;
+  
+  const cleared = analysisCache.size;
+  analysisCache.clear();
+  clearTimeout(analysisCacheSaveTimer);
+  analysisCacheSaveTimer = null;
+  
+  await new Promise(resolve => {
+    chrome.storage.local.set({ analysisCache: { entries: [], modelVersions: {} } }, resolve);
+  });
+  return cleared;
+}
+
+// Compile the bundled lexicon together with the custom terms from the options page
+// Custom terms come first, so they win over a bundled term with the same spelling
+function applyCustomLexicon() {
+  return new Promise(resolve => {
+    chrome.storage.local.get('customLexicon', async (data) => {
+      const customEntries = Array.isArray(data.customLexicon) ? data.customLexicon.slice(0, MAX_CUSTOM_TERMS) : [];
+      
+      // A null lexicon (the bundled one failed to load and there are no custom terms) means the built-in term list
+      if (customEntries.length > 0) {
+        const bundledEntries = baseLexicon ? baseLexicon.entries : [];
+        AIGuardianUtils.setLexicon(AIGuardianLexicon.buildLexicon(customEntries.concat(bundledEntries)));
+      } else {
+        AIGuardianUtils.setLexicon(baseLexicon);
+      }
+      
+      customLexiconEntries = customEntries;
+      customLexiconRevision = '';
+      if (customEntries.length > 0) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(customEntries)));
+        customLexiconRevision = Array.from(new Uint8Array(digest).slice(0, 4), byte => byte.toString(16).padStart(2, '0')).join('');
+      }
+      resolve();
+    });
+  });
+}
+
+// Normalize text so feedback matches regardless of case and spacing
+function normalizeFeedbackText(text) {
+  return text.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Check whether the user has marked this text as not harmful
+function isMarkedNotHarmful(text) {
+  return new Promise(resolve => {
+    chrome.storage.local.get('falsePositives', (data) => {
+      const falsePositives = data.falsePositives || {};
+      resolve(Boolean(falsePositives[normalizeFeedbackText(text)]));
+    });
+  });
+}
+
+// Store a labeled example and optionally share it with the analysis server
+// Labels: 'not_harmful' (false positive) or 'harmful' (confirmed or missed content)
+async function recordFeedback({ text, label, category, source }) {
+  if (!text || (label !== 'not_harmful' && label !== 'harmful')) {
+    throw new Error('Invalid feedback');
+  }
+  
+  const entry = {
+    text,
+    label,
+    category: category || null,
+    source: source || 'badge',
+    timestamp: Date.now(),
+    sent: false
+  };
+  
+  const backend = await getBackendConfig();
+  if (backend.shareFeedback && backend.mode !== 'local-only') {
+    try {
+      const response = await postToBackend(backend, '/feedback', {
+        text: entry.text,
+        label: entry.label,
+        category: entry.category
+      });
+      entry.sent = response.ok;
+    } catch (error) {
+      console.error('Error sending feedback:', error);
+    }
+  }
+  
+  await new Promise(resolve => {
+    chrome.storage.local.get(['feedback', 'falsePositives'], (data) => {
+      const feedback = (data.feedback || []).concat(entry).slice(-MAX_FEEDBACK_ENTRIES);
+      
+      // Keep the suppression list in step with the latest label for this text
+      const falsePositives = data.falsePositives || {};
+      const key = normalizeFeedbackText(text);
+      if (label === 'not_harmful') {
+        falsePositives[key] = entry.timestamp;
+      } else {
+        delete falsePositives[key];
+      }
+      
+      chrome.storage.local.set({ feedback, falsePositives }, resolve);
+    });
+  });
+  
+  return entry;
+}
+
+// Show a short notice in a tab's page
+function notifyTab(tab, text) {
+  if (!tab || tab.id === undefined) {
+    return;
+  }
+  
+  // Only the top frame shows notices, so frames don't each show a copy
+  chrome.tabs.sendMessage(tab.id, { type: 'SHOW_NOTICE', text }, { frameId: 0 })
+    .catch(error => {
+      console.log('Could not show notice in tab:', tab.id);
+    });
+}
+
+// Work out whether protection is on in a tab: the global toggle, then the site's rule,
+// then the tab's keyboard shortcut toggle, each overriding the one before
+function getTabProtection(tab, callback) {
+  chrome.storage.local.get(['settings', 'siteRules'], (data) => {
+    chrome.storage.session.get('tabProtection', (sessionData) => {
+      const settings = data.settings || DEFAULT_SETTINGS;
+      const siteRule = findSiteRule(data.siteRules, getHostname(tab.url));
+      const tabProtection = sessionData.tabProtection || {};
+      
+      let enabled = settings.enabled;
+      if (siteRule && siteRule.mode === 'skip') {
+        enabled = false;
+      } else if (siteRule && siteRule.mode === 'scan') {
+        enabled = true;
+      }
+      if (typeof tabProtection[tab.id] === 'boolean') {
+        enabled = tabProtection[tab.id];
+      }
+      
+      callback(enabled, tabProtection);
+    });
+  });
+}
+
+// Turn protection on or off for one tab until it is closed, leaving settings and site rules alone
+function toggleTabProtection(tab) {
+  getTabProtection(tab, (enabled, tabProtection) => {
+    tabProtection[tab.id] = !enabled;
+    chrome.storage.session.set({ tabProtection }, () => {
+      // Content scripts in every frame re-read their settings, which include the toggle
+      chrome.tabs.sendMessage(tab.id, { type: 'TAB_PROTECTION_UPDATED' })
+        .catch(error => {
+          console.log('Content script not available for protection toggle in tab:', tab.id);
+        });
+      notifyTab(tab, enabled ? 'Protection turned off for this tab.' : 'Protection turned on for this tab.');
+    });
+  });
+}
+
+// Get the hostname of a URL, or null for URLs without one
+function getHostname(url) {
+  try {
+    return new URL(url).hostname || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Find the site rule for a hostname
+// A rule for a domain also covers its subdomains; the most specific rule wins
+function findSiteRule(siteRules, hostname) {
+  if (!siteRules || !hostname) {
+    return null;
+  }
+  
+  const labels = hostname.toLowerCase().split('.');
+  for (let i = 0; i < labels.length; i++) {
+    const domain = labels.slice(i).join('.');
+    if (siteRules[domain]) {
+      return { ...siteRules[domain], domain };
+    }
+  }
+  
+  return null;
+}
+
+// Resolve the sensitivity level for a request, falling back to the stored setting
+function getSensitivityLevel(requestedLevel) {
+  if (SENSITIVITY_THRESHOLDS[requestedLevel]) {
+    return Promise.resolve(requestedLevel);
+  }
+  
+  return new Promise(resolve => {
+    chrome.storage.local.get('settings', (data) => {
+      const settings = data.settings || DEFAULT_SETTINGS;
+      resolve(SENSITIVITY_THRESHOLDS[settings.sensitivityLevel] ? settings.sensitivityLevel : 'medium');
+    });
+  });
+}
+
+// Re-evaluate an analysis result against the cutoffs for the given sensitivity level
+// Works for both server results (which include per-category scores) and local results
+function applySensitivityThresholds(result, sensitivityLevel) {
+  if (!result || result.error) {
+    return result;
+  }
+  
+  const thresholds = SENSITIVITY_THRESHOLDS[sensitivityLevel] || SENSITIVITY_THRESHOLDS.medium;
+  
+  // Older servers and the local fallback only report the winning category
+  const scores = result.scores || (result.isHarmful && result.category !== 'safe'
+    ? { [result.category]: result.confidence }
+    : {});
+  
+  // Pick the category that clears its cutoff by the widest margin
+  let bestCategory = null;
+  let bestMargin = -Infinity;
+  for (const [category, cutoff] of Object.entries(thresholds)) {
+    const score = scores[category] || 0;
+    if (score >= cutoff && score - cutoff > bestMargin) {
+      bestCategory = category;
+      bestMargin = score - cutoff;
+    }
+  }
+  
+  if (!bestCategory) {
+    if (!result.isHarmful) {
+      return { ...result, sensitivityLevel };
     }
     
-    // Save updated stats
-    chrome.storage.local.set({ stats: stats });
+    // Flagged, but not confidently enough for this sensitivity level
+    const safeConfidence = scores.safe !== undefined ? scores.safe : 1 - result.confidence;
+    return {
+      ...result,
+      isHarmful: false,
+      category: 'safe',
+      confidence: safeConfidence,
+      explanation: generateExplanation('safe', safeConfidence),
+      sensitivityLevel
+    };
+  }
+  
+  if (result.isHarmful && result.category === bestCategory) {
+    return { ...result, sensitivityLevel };
+  }
+  
+  return {
+    ...result,
+    isHarmful: true,
+    category: bestCategory,
+    confidence: scores[bestCategory],
+    explanation: generateExplanation(bestCategory, scores[bestCategory]),
+    sensitivityLevel
+  };
+}
+
+// Load the backend configuration, filling in defaults for missing fields
+function getBackendConfig() {
+  return new Promise(resolve => {
+    chrome.storage.local.get('backend', (data) => {
+      resolve({ ...DEFAULT_BACKEND, ...data.backend });
+    });
   });
 }
 
-// Function to analyze text for harmful content using our local BERT-based model
-async function analyzeTextContent(text) {
+// Send a request to the analysis server, aborting after the configured timeout
+async function requestBackend(backend, path, options = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), backend.timeout);
+  
+  const headers = { ...options.headers };
+  if (backend.authHeader) {
+    headers['Authorization'] = backend.authHeader;
+  }
+  
   try {
-    // Use our local API endpoint for content analysis
-    const response = await fetch('http://localhost:5000/analyze', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        text: text
-      })
+    return await fetch(backend.url.replace(/\/+$/, '') + path, {
+      ...options,
+      headers,
+      signal: controller.signal
     });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// POST a JSON body to the analysis server
+function postToBackend(backend, path, body) {
+  return requestBackend(backend, path, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+}
 
+// Check that the analysis server is reachable and responding
+async function checkBackendHealth(backend) {
+  if (backend.mode === 'local-only') {
+    return { success: true, mode: backend.mode, message: 'Local-only mode does not use a server' };
+  }
+  
+  const startTime = Date.now();
+  try {
+    const response = await requestBackend(backend, '/health', { method: 'GET' });
+    const latency = Date.now() - startTime;
+    
     if (!response.ok) {
-      console.error(`API request failed with status ${response.status}`);
-      // Fall back to the local analysis if API is unavailable
-      const localResult = window.AIGuardianUtils.calculateLocalToxicityScore(text);
+      return { success: false, status: response.status, message: `Server responded with status ${response.status}` };
+    }
+    
+    const health = await response.json().catch(() => ({}));
+    return { success: true, status: response.status, latency, health, message: `Connected in ${latency}ms` };
+  } catch (error) {
+    const message = error.name === 'AbortError'
+      ? `No response within ${backend.timeout}ms`
+      : 'Could not reach the server';
+    return { success: false, message };
+  }
+}
+
+// Create an empty batch of statistics increments
+function createPendingStats() {
+  return {
+    counts: { analyzed: 0, harmful: 0, rephrased: 0 },
+    history: []
+  };
+}
+
+// Count an event in the pending statistics batch
+function updateStatistics(type) {
+  pendingStats.counts[type] += 1;
+  scheduleStatsFlush();
+}
+
+// Record an analysis or rephrase for the statistics history in the pending batch
+function recordStatsHistory(type, { hostname, category, source } = {}) {
+  pendingStats.history.push({ type, day: getDayKey(), hostname, category, source });
+  scheduleStatsFlush();
+}
+
+// Flush the pending batch shortly after the first event in it
+function scheduleStatsFlush() {
+  if (!statsFlushTimer) {
+    statsFlushTimer = setTimeout(flushStats, STATS_FLUSH_DELAY_MS);
+  }
+}
+
+// Write the pending batch to storage
+// Resolves once this batch and every write queued before it are stored
+function flushStats() {
+  clearTimeout(statsFlushTimer);
+  statsFlushTimer = null;
+  
+  const batch = pendingStats;
+  pendingStats = createPendingStats();
+  return enqueueStatsWrite(() => writeStatsBatch(batch));
+}
+
+// Run stats writes one at a time so none reads storage while another is writing
+function enqueueStatsWrite(write) {
+  statsWriteQueue = statsWriteQueue
+    .then(write)
+    .catch(error => {
+      console.error('Error writing statistics:', error);
+    });
+  return statsWriteQueue;
+}
+
+// Add a batch of increments to the stored counters and history
+function writeStatsBatch(batch) {
+  const hasCounts = Object.values(batch.counts).some(count => count > 0);
+  if (!hasCounts && batch.history.length === 0) {
+    return Promise.resolve();
+  }
+  
+  return new Promise(resolve => {
+    chrome.storage.local.get(['stats', 'statsHistory'], (data) => {
+      const { stats, history } = addStatsBatch(data, batch);
+      chrome.storage.local.set({ stats, statsHistory: history }, resolve);
+    });
+  });
+}
+
+// Read the stored counters and history with the pending batch added, without writing anything
+// Queued behind stats writes, so a batch being written is neither missed nor counted twice
+function readCurrentStats() {
+  let current;
+  return enqueueStatsWrite(() => new Promise(resolve => {
+    // A flush during the read swaps in a new batch; this one still holds every event not yet stored
+    const batch = pendingStats;
+    chrome.storage.local.get(['stats', 'statsHistory'], (data) => {
+      current = addStatsBatch(data, batch);
+      resolve();
+    });
+  })).then(() => current || { stats: { ...DEFAULT_STATS }, history: {} });
+}
+
+// Add a batch of increments to counters and history read from storage
+function addStatsBatch(data, batch) {
+  const stats = { ...DEFAULT_STATS, ...data.stats };
+  Object.entries(batch.counts).forEach(([type, count]) => {
+    stats[type] += count;
+  });
+  
+  const history = data.statsHistory || {};
+  batch.history.forEach(event => addToStatsHistory(history, event));
+  
+  // Drop days that have aged out of the history
+  const oldest = getDayKey(STATS_HISTORY_DAYS - 1);
+  Object.keys(history).forEach(day => {
+    if (day < oldest) {
+      delete history[day];
+    }
+  });
+  
+  return { stats, history };
+}
+
+// Get the local calendar day a number of days ago as YYYY-MM-DD
+function getDayKey(daysAgo = 0) {
+  const date = new Date();
+  date.setDate(date.getDate() - daysAgo);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Create empty counters for a day or a site within a day
+function createStatsBucket() {
+  return {
+    analyzed: 0,
+    flagged: 0,
+    rephrased: 0,
+    categories: Object.fromEntries(STATS_CATEGORIES.map(category => [category, 0]))
+  };
+}
+
+// Add an analysis or rephrase to its day's statistics bucket
+// statsHistory maps each day to totals plus a breakdown per site, category and result source
+function addToStatsHistory(history, { type, day, hostname, category, source }) {
+  const bucket = history[day] || { ...createStatsBucket(), sources: {}, sites: {} };
+  const buckets = [bucket];
+  
+  if (hostname) {
+    bucket.sites[hostname] = bucket.sites[hostname] || createStatsBucket();
+    buckets.push(bucket.sites[hostname]);
+  }
+  
+  buckets.forEach(counts => {
+    counts[type] += 1;
+    if (type === 'analyzed' && category) {
+      counts.flagged += 1;
+      if (STATS_CATEGORIES.includes(category)) {
+        counts.categories[category] += 1;
+      }
+    }
+  });
+  
+  if (type === 'analyzed' && source) {
+    bucket.sources[source] = (bucket.sources[source] || 0) + 1;
+  }
+  history[day] = bucket;
+}
+
+// Summarize the statistics history for the most recent days
+function summarizeStatsHistory(history, days) {
+  const summary = {
+    days: [],
+    categories: Object.fromEntries(STATS_CATEGORIES.map(category => [category, 0])),
+    sources: {},
+    topSites: []
+  };
+  const sites = {};
+  
+  for (let i = days - 1; i >= 0; i--) {
+    const date = getDayKey(i);
+    const bucket = history[date] || { ...createStatsBucket(), sources: {}, sites: {} };
+    
+    summary.days.push({
+      date,
+      analyzed: bucket.analyzed,
+      flagged: bucket.flagged,
+      rephrased: bucket.rephrased
+    });
+    
+    STATS_CATEGORIES.forEach(category => {
+      summary.categories[category] += bucket.categories[category] || 0;
+    });
+    Object.entries(bucket.sources).forEach(([source, count]) => {
+      summary.sources[source] = (summary.sources[source] || 0) + count;
+    });
+    Object.entries(bucket.sites).forEach(([hostname, counts]) => {
+      const site = sites[hostname] || (sites[hostname] = { hostname, ...createStatsBucket() });
+      site.analyzed += counts.analyzed;
+      site.flagged += counts.flagged;
+      site.rephrased += counts.rephrased;
+      STATS_CATEGORIES.forEach(category => {
+        site.categories[category] += counts.categories[category] || 0;
+      });
+    });
+  }
+  
+  summary.topSites = Object.values(sites)
+    .filter(site => site.flagged > 0)
+    .sort((a, b) => b.flagged - a.flagged || b.analyzed - a.analyzed)
+    .slice(0, 5);
+  
+  return summary;
+}
+
+// Function to analyze text for harmful content using the configured backend
+async function analyzeTextContent(text) {
+  const backend = await getBackendConfig();
+  
+  if (backend.mode === 'local-only') {
+    return analyzeTextLocally(text);
+  }
+  
+  try {
+    const result = await queueRemoteAnalysis(backend, text);
+    if (result && result.modelVersion) {
+      serverModelVersions.set(backend.url, result.modelVersion);
+    }
+    
+    // Return the analysis results from our server in the current format
+    return normalizeAnalysisResult(result);
+  } catch (error) {
+    if (error.status) {
+      console.error(`API request failed with status ${error.status}`);
+    } else {
+      console.error('Error analyzing content:', error);
+    }
+    if (backend.mode === 'remote-only') {
       return {
-        text,
-        isHarmful: localResult.isHarmful,
-        category: localResult.category,
-        confidence: localResult.confidence,
-        explanation: localResult.explanation
+        error: error.status ? `Analysis server responded with status ${error.status}` : 'Analysis server unavailable'
       };
     }
+    // Fall back to the local analysis if the server is unavailable
+    return analyzeTextLocally(text);
+  }
+}
 
-    const result = await response.json();
+// Queue text for the next batch request to the server
+// Rejects with an error carrying `status` when the server responds with an error
+function queueRemoteAnalysis(backend, text) {
+  return new Promise((resolve, reject) => {
+    analyzeQueue.push({ backend, text, resolve, reject });
     
-    // Return the analysis results directly from our server
-    return result;
-  } catch (error) {
-    console.error('Error analyzing content:', error);
-    // Fall back to the local analysis if an error occurred
-    const localResult = window.AIGuardianUtils.calculateLocalToxicityScore(text);
-    return {
-      text,
-      isHarmful: localResult.isHarmful,
-      category: localResult.category,
-      confidence: localResult.confidence,
-      explanation: localResult.explanation
-    };
+    if (analyzeQueue.length >= MAX_ANALYZE_BATCH_SIZE) {
+      flushAnalyzeQueue();
+    } else if (!analyzeQueueTimer) {
+      analyzeQueueTimer = setTimeout(flushAnalyzeQueue, ANALYZE_BATCH_WINDOW_MS);
+    }
+  });
+}
+
+// Send every queued analysis, one request per backend configuration
+function flushAnalyzeQueue() {
+  clearTimeout(analyzeQueueTimer);
+  analyzeQueueTimer = null;
+  
+  const groups = new Map();
+  analyzeQueue.forEach(item => {
+    const key = `${item.backend.url}\n${item.backend.authHeader}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  });
+  analyzeQueue = [];
+  
+  groups.forEach(items => {
+    sendAnalyzeBatch(items[0].backend, items);
+  });
+}
+
+// Analyze queued items with one /analyze/batch request, or single calls for older servers
+async function sendAnalyzeBatch(backend, items) {
+  // Identical texts are only sent once
+  const texts = Array.from(new Set(items.map(item => item.text)));
+  
+  if (texts.length > 1 && !batchUnsupportedUrls.has(backend.url)) {
+    try {
+      const response = await postToBackend(backend, '/analyze/batch', withCustomLexicon({ texts }));
+      
+      if (response.ok) {
+        const { results } = await response.json();
+        if (isBatchResultList(results, texts.length)) {
+          items.forEach(item => item.resolve(results[texts.indexOf(item.text)]));
+          return;
+        }
+        // A reply that doesn't line up with the texts can't be matched to them, so ask for each text instead
+        console.warn('Analysis server sent a malformed batch reply, analyzing texts one at a time');
+      } else if (response.status !== 404 && response.status !== 405) {
+        items.forEach(item => item.reject(createStatusError(response.status)));
+        return;
+      } else {
+        // Older servers have no batch route
+        batchUnsupportedUrls.add(backend.url);
+      }
+    } catch (error) {
+      items.forEach(item => item.reject(error));
+      return;
+    }
+  }
+  
+  const results = new Map(texts.map(text => [text, analyzeRemotely(backend, text)]));
+  items.forEach(item => {
+    results.get(item.text).then(item.resolve, item.reject);
+  });
+}
+
+// Check that a batch reply has one result object per text sent
+function isBatchResultList(results, count) {
+  return Array.isArray(results) && results.length === count &&
+    results.every(result => result !== null && typeof result === 'object');
+}
+
+// Analyze a single text with the server's /analyze route
+async function analyzeRemotely(backend, text) {
+  const response = await postToBackend(backend, '/analyze', withCustomLexicon({ text }));
+  if (!response.ok) {
+    throw createStatusError(response.status);
   }
+  return response.json();
 }
 
-// Function to rephrase harmful content using our local model
+// Add the custom terms to a request body so the server matches them too
+function withCustomLexicon(body) {
+  return customLexiconEntries.length > 0 ? { ...body, customLexicon: customLexiconEntries } : body;
+}
+
+// Create an error for an unsuccessful server response
+function createStatusError(status) {
+  const error = new Error(`Analysis server responded with status ${status}`);
+  error.status = status;
+  return error;
+}
+
+// Fill in fields that older servers don't return
+function normalizeAnalysisResult(result) {
+  return {
+    ...result,
+    version: result.version || 1,
+    spans: Array.isArray(result.spans) ? result.spans : [],
+    language: result.language || 'und',
+    source: 'server'
+  };
+}
+
+// Analyze text with the bundled local engine
+async function analyzeTextLocally(text) {
+  await lexiconReady;
+  const localResult = AIGuardianUtils.calculateLocalToxicityScore(text);
+  return {
+    version: ANALYSIS_RESULT_VERSION,
+    text,
+    isHarmful: localResult.isHarmful,
+    category: localResult.category,
+    confidence: localResult.confidence,
+    scores: localResult.scores,
+    spans: localResult.spans,
+    language: localResult.language,
+    explanation: localResult.explanation,
+    source: 'local'
+  };
+}
+
+// Function to rephrase harmful content using the configured backend
 async function rephraseTextContent(text, category) {
+  const backend = await getBackendConfig();
+  
+  if (backend.mode === 'local-only') {
+    return rephraseTextLocally(text);
+  }
+  
+  // The custom terms sent along are read once the lexicon has been compiled
+  await lexiconReady;
+  
   try {
-    // Use our local API endpoint for content rephrasing
-    const response = await fetch('http://localhost:5000/rephrase', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        text: text,
-        category: category
-      })
-    });
+    const response = await postToBackend(backend, '/rephrase', withCustomLexicon({ text, category }));
 
     if (!response.ok) {
       console.error(`API request failed with status ${response.status}`);
+      if (backend.mode === 'remote-only') {
+        return { error: `Analysis server responded with status ${response.status}` };
+      }
       // Fall back to the local rephrasing if API is unavailable
-      const rephrased = window.AIGuardianUtils.localRephrase(text, category);
-      return {
-        original: text,
-        rephrased: rephrased
-      };
+      return rephraseTextLocally(text);
     }
 
     const result = await response.json();
     return result;
   } catch (error) {
     console.error('Error rephrasing content:', error);
+    if (backend.mode === 'remote-only') {
+      return { error: 'Analysis server unavailable' };
+    }
     // Fall back to the local rephrasing if an error occurred
-    const rephrased = window.AIGuardianUtils.localRephrase(text, category);
-    return {
-      original: text,
-      rephrased: rephrased
-    };
+    return rephraseTextLocally(text);
   }
 }
 
+// Rephrase text with the bundled local engine
+async function rephraseTextLocally(text) {
+  await lexiconReady;
+  const { rephrased, modifications, alteredSentences } = AIGuardianUtils.rephraseBySentence(text);
+  return {
+    original: text,
+    rephrased,
+    modifications,
+    alteredSentences
+  };
+}
+
 // Function to generate explanations based on content category
 function generateExplanation(category, confidence) {
   const explanations = {
@@ -6,74 +6,177 @@ let extensionSettings = {
   enabled: true,
   autoRephrase: true,
   showWarnings: true,
-  sensitivityLevel: 'medium'
+  sensitivityLevel: 'medium',
+  confirmRevealHarmful: false,
+  composeGuard: false,
+  blurUntilAnalyzed: false,
+  categoryActions: {
+    offensive: 'rephrase',
+    inappropriate: 'rephrase',
+    harmful: 'rephrase'
+  },
+  ignoreSelectors: [],
+  contentSelectors: []
 };
 
+// Per-site rule for this page's hostname (null when there is none)
+// extensionSettings is the global settings with this rule applied
+let siteRule = null;
+
+// Protection turned on or off for this tab with the keyboard shortcut, or null if it hasn't been
+let tabProtection = null;
+
+// Custom terms from the options page, compiled so short text containing one is still analyzed
+let customTerms = null;
+let customTermsKey = '[]';
+
 // Element observer - watches for content changes
 let observer = null;
 
 // Cache of analyzed text to avoid duplicate processing
 const analyzedTextCache = new Map();
 
+// Analysis result behind each flagged element, used by feedback actions
+const elementResults = new WeakMap();
+
+// Open shadow roots and same-origin frame documents scanned alongside the main document
+const nestedScanRoots = new Set();
+const watchedFrames = new WeakSet();
+
+// Analysis is scheduled by visibility: elements in view first, then those near it
+// Off-screen elements wait until they come within NEAR_VIEWPORT_MARGIN of the viewport
+const NEAR_VIEWPORT_MARGIN = '100% 0px';
+const ANALYSIS_BATCH_SIZE = 5;
+const ANALYSIS_BATCH_DELAY_MS = 100;
+const visibleQueue = [];
+const nearQueue = [];
+let analysisQueueTimer = null;
+let visibilityObserver = null;
+
+// Observer options shared by the main document and nested roots
+const OBSERVER_OPTIONS = {
+  childList: true,
+  subtree: true,
+  characterData: false // Don't need character data changes
+};
+
 // Elements to ignore (not to scan)
 const IGNORE_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'SVG', 'CANVAS', 'INPUT', 'TEXTAREA'];
+
+// Images and video have no text of their own; they are judged by the text that describes them
+const MEDIA_TAGS = ['IMG', 'VIDEO', 'SVG', 'CANVAS'];
+const MEDIA_SELECTOR = 'img, video, svg, canvas, [role="img"]';
+const MEDIA_TEXT_ATTRIBUTES = ['alt', 'title', 'aria-label'];
+const MEDIA_MIN_TEXT_LENGTH = 5;
+const MAX_MEDIA_TEXT_LENGTH = 5000; // Caption tracks can hold a whole film's dialogue
+// Ignored by class name unless ignore selectors are set on the options page
 const IGNORE_CLASS_PATTERNS = [
-  /ai-guardian-/,
   /code/i,
   /syntax/i,
   /pre/i
 ];
 
+// Where most sites keep their main content, unless content selectors are set on the options page
+const MAIN_CONTENT_SELECTORS = [
+  'main', 'article', '.content', '#content', '.main-content', '#main-content',
+  '[role="main"]', '.post', '.story', '.entry', '.page-content', '.article-content'
+];
+
+// Compose guard: drafts are analyzed once the user pauses typing
+const COMPOSE_DEBOUNCE_MS = 800;
+const COMPOSE_MIN_LENGTH = 3;
+const COMPOSE_INPUT_TYPES = ['text', 'search', 'email', 'url'];
+
+// Pending analysis timer, dismissed draft and open nudge for each editor
+const composeTimers = new WeakMap();
+const dismissedDrafts = new WeakMap();
+const composeNudges = new WeakMap();
+
+// Local pre-filter applied before requesting full analysis, per sensitivity level
+// Text that doesn't match the pattern is only sent when it's at least minLength characters long
+// Patterns cover English, Spanish and Hindi; the lookarounds are word boundaries that work for any script
+const QUICK_CHECK_RULES = {
+  low: {
+    pattern: /(?<![\p{L}\p{M}\p{N}])(fuck|shit|porn|nude|bomb|explosive|kill|suicide|mierda|porno|bomba|suicidio|पोर्न|बम|आत्महत्या)(?![\p{L}\p{M}\p{N}])/iu,
+    minLength: 200
+  },
+  medium: {
+    pattern: /(?<![\p{L}\p{M}\p{N}])(fuck|shit|ass|porn|nude|sex|bomb|explosive|hack|break in|harm|kill|suicide|puta|mierda|cabrón|pendejo|porno|desnud[ao]|sexo|bomba|explosivo|matar|suicidio|चूतिया|मादरचोद|पोर्न|सेक्स|बम|मारना|आत्महत्या|chutiya)(?![\p{L}\p{M}\p{N}])/iu,
+    minLength: 100
+  },
+  high: {
+    pattern: /(?<![\p{L}\p{M}\p{N}])(fuck[\p{L}]*|shit[\p{L}]*|ass[\p{L}]*|bitch[\p{L}]*|bastard[\p{L}]*|idiot[\p{L}]*|moron[\p{L}]*|porn[\p{L}]*|nude[\p{L}]*|naked|sex[\p{L}]*|bomb[\p{L}]*|explosive[\p{L}]*|weapon[\p{L}]*|gun[\p{L}]*|hack[\p{L}]*|break in|harm[\p{L}]*|kill[\p{L}]*|murder[\p{L}]*|suicide|put[ao]s?|mierda|cabr[oó]n[\p{L}]*|pendej[\p{L}]*|imb[eé]cil[\p{L}]*|idiota[\p{L}]*|desnud[\p{L}]*|arma[\p{L}]*|matar|asesin[\p{L}]*|suicidio|चूतिया|मादरचोद|बहनचोद|कमीन[\p{L}\p{M}]*|हरामी|पोर्न|सेक्स|नंग[\p{L}\p{M}]*|बम|हथियार|मार[\p{L}\p{M}]*|हत्या|आत्महत्या|chutiya|madarchod|behenchod|kamina|harami)(?![\p{L}\p{M}\p{N}])/iu,
+    minLength: 30
+  }
+};
+
+// Get the quick-check rule for the current sensitivity level
+function getQuickCheckRule() {
+  return QUICK_CHECK_RULES[extensionSettings.sensitivityLevel] || QUICK_CHECK_RULES.medium;
+}
+
+// Check text against the quick-check pattern and custom terms, also catching spaced-out, leetspeak and lookalike spellings
+function matchesQuickCheck(text) {
+  const pattern = getQuickCheckRule().pattern;
+  if (pattern.test(text)) {
+    return true;
+  }
+  
+  const normalized = AIGuardianLexicon.normalizeForMatching(text).text;
+  return pattern.test(normalized) || AIGuardianLexicon.findLexiconMatches(customTerms, normalized).length > 0;
+}
+
 // Initialize the extension
 function initializeExtension() {
-  // Fetch settings from storage
-  chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }, (response) => {
-    if (response && response.settings) {
-      extensionSettings = response.settings;
-      
-      if (extensionSettings.enabled) {
-        // Start content analysis
-        setupObserver();
-        analyzePageContent();
-      }
-    }
-  });
+  // Tell content scripts in parent frames that this document scans itself
+  document.documentElement.setAttribute('data-ai-guardian-active', '');
+  
+  // Fetch settings and this site's rule from storage
+  loadSettings();
+
+  addDocumentListeners(document);
 
   // Listen for messages
-  chrome.runtime.onMessage.addListener((message) => {
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // Report and switch original text for a toggle of the whole tab, coordinated by the background script
+    if (message.type === 'GET_ORIGINALS_STATE') {
+      sendResponse(getOriginalsState());
+    }
+    if (message.type === 'SET_ORIGINALS') {
+      sendResponse(setAllOriginals(message.show));
+    }
+    
+    // Ask once, in the top frame, before a page-wide toggle shows harmful content
+    if (message.type === 'CONFIRM_REVEAL_ALL') {
+      sendResponse(window.confirm('Some content on this page was flagged as harmful. Show all original text?'));
+    }
+    
+    // Check or rephrase text selected through the context menu
+    if (message.type === 'SELECTION_ACTION') {
+      showSelectionPanel(message.action, message.text);
+    }
+    
+    // Show notices sent by the background script
+    if (message.type === 'SHOW_NOTICE') {
+      showNotice(message.text);
+    }
+    
     // Handle setting changes
     if (message.type === 'SETTINGS_UPDATED') {
-      extensionSettings = message.settings;
-      
-      if (extensionSettings.enabled) {
-        if (!observer) {
-          setupObserver();
-        }
-        analyzePageContent();
-      } else {
-        if (observer) {
-          observer.disconnect();
-          observer = null;
-        }
-        // Remove all modifications
-        removeAllModifications();
-      }
+      applySettings(message.settings);
+    }
+    
+    // Handle changes to the rules for this site, protection toggled for this tab, or custom terms edited
+    if (message.type === 'SITE_RULE_UPDATED' || message.type === 'TAB_PROTECTION_UPDATED' ||
+        message.type === 'CUSTOM_LEXICON_UPDATED') {
+      loadSettings();
     }
     
     // Handle page navigation or URL changes
     if (message.type === 'PAGE_CHANGED') {
       console.log('Page changed, re-analyzing content');
       
-      // Clear cache to ensure fresh analysis
-      analyzedTextCache.clear();
-      
-      // Remove previous modifications
-      removeAllModifications();
-      
-      // Reset all previously processed elements
-      document.querySelectorAll('[data-ai-guardian-processed]').forEach(el => {
-        el.removeAttribute('data-ai-guardian-processed');
-      });
+      resetPageAnalysis();
       
       // Start new analysis if enabled
       if (extensionSettings.enabled) {
@@ -86,6 +189,122 @@ function initializeExtension() {
   });
 }
 
+// Listen for clicks and typing in a document the extension scans
+function addDocumentListeners(doc) {
+  // Let users click rephrased content to see the original, and give feedback on warnings
+  doc.addEventListener('click', handleRevealClick, true);
+  doc.addEventListener('click', handleFeedbackClick, true);
+  doc.addEventListener('keydown', handlePlaceholderKeydown, true);
+  
+  // Check drafts as the user types when the compose guard is on
+  doc.addEventListener('input', handleComposeInput, true);
+}
+
+// Fetch global settings and the rule for this site, then apply them
+// Frames follow the rule for the tab's site, which the background script reads from the sender
+function loadSettings() {
+  const hostname = window === window.top ? location.hostname : undefined;
+  chrome.runtime.sendMessage({ type: 'GET_SETTINGS', hostname }, (response) => {
+    if (response && response.settings) {
+      siteRule = response.siteRule || null;
+      tabProtection = typeof response.tabProtection === 'boolean' ? response.tabProtection : null;
+      
+      // Verdicts made before custom terms were edited may be out of date
+      const termsKey = JSON.stringify(response.customLexicon || []);
+      if (termsKey !== customTermsKey) {
+        customTermsKey = termsKey;
+        customTerms = response.customLexicon && response.customLexicon.length > 0
+          ? AIGuardianLexicon.buildLexicon(response.customLexicon)
+          : null;
+        resetPageAnalysis();
+      }
+      
+      applySettings(response.settings);
+    }
+  });
+}
+
+// Combine global settings with this site's rule and the tab's shortcut toggle
+function getEffectiveSettings(settings, rule, tabEnabled) {
+  const effective = { ...settings };
+  
+  if (rule) {
+    // Site modes override the global toggle in either direction
+    if (rule.mode === 'skip') {
+      effective.enabled = false;
+    } else if (rule.mode === 'scan') {
+      effective.enabled = true;
+    }
+    
+    if (rule.sensitivityLevel) {
+      effective.sensitivityLevel = rule.sensitivityLevel;
+    }
+  }
+  
+  // The shortcut toggle for this tab wins over both
+  if (typeof tabEnabled === 'boolean') {
+    effective.enabled = tabEnabled;
+  }
+  
+  return effective;
+}
+
+// Apply new global settings, starting or stopping analysis as needed
+function applySettings(settings) {
+  const previousSensitivity = extensionSettings.sensitivityLevel;
+  const previousActions = getCategoryActionSummary();
+  const previousSelectors = getSelectorSummary();
+  extensionSettings = getEffectiveSettings(settings, siteRule, tabProtection);
+  
+  // Drop compose nudges once the guard no longer applies
+  if (!extensionSettings.enabled || !extensionSettings.composeGuard) {
+    queryAllRoots('.ai-guardian-compose-nudge').forEach(el => el.remove());
+  }
+  
+  if (extensionSettings.enabled) {
+    if (!observer) {
+      setupObserver();
+    }
+    
+    // Unblur content still waiting for a verdict once blurring is turned off
+    if (!extensionSettings.blurUntilAnalyzed) {
+      queryAllRoots('[data-ai-guardian-pending]').forEach(clearPendingBlur);
+    }
+    
+    // Previous verdicts were made against different thresholds, or different elements are scanned
+    if (extensionSettings.sensitivityLevel !== previousSensitivity || getSelectorSummary() !== previousSelectors) {
+      resetPageAnalysis();
+    } else if (getCategoryActionSummary() !== previousActions) {
+      // Verdicts still stand; undo the changes so they are shown the new way
+      removeAllModifications();
+    }
+    analyzePageContent();
+  } else {
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    stopAnalysisScheduling();
+    // Remove all modifications
+    removeAllModifications();
+  }
+}
+
+// Clear cached verdicts and modifications so the page can be analyzed from scratch
+function resetPageAnalysis() {
+  // Clear cache to ensure fresh analysis
+  analyzedTextCache.clear();
+  stopAnalysisScheduling();
+  
+  // Remove previous modifications
+  removeAllModifications();
+  
+  // Reset all previously processed elements
+  queryAllRoots('[data-ai-guardian-processed]').forEach(el => {
+    el.removeAttribute('data-ai-guardian-processed');
+  });
+}
+
 // Set up mutation observer to detect DOM changes
 function setupObserver() {
   // Use a more efficient debounced approach for DOM mutations
@@ -104,11 +323,18 @@ function setupObserver() {
         // Also add text-containing children for processing
         const textElements = node.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li');
         textElements.forEach(el => elementsToProcess.add(el));
+        findMediaElements(node).forEach(el => elementsToProcess.add(el));
+        
+        // Include web components and frames added with this node
+        discoverNestedRoots(node).forEach(root => {
+          root.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li').forEach(el => elementsToProcess.add(el));
+          findMediaElements(root).forEach(el => elementsToProcess.add(el));
+        });
       }
     });
     
-    // Process each unique element
-    elementsToProcess.forEach(analyzeElement);
+    // Schedule each unique element by its visibility
+    queueForAnalysis(Array.from(elementsToProcess));
     
     // Clear pending mutations
     pendingMutations = [];
@@ -133,14 +359,155 @@ function setupObserver() {
     }
   });
   
-  // Start observing the document with optimized settings
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true,
-    characterData: false // Don't need character data changes
+  // Start observing the document and every nested root with optimized settings
+  getScanRoots().forEach(observeRoot);
+}
+
+// Watch a document or shadow root for added content
+function observeRoot(root) {
+  const target = root.nodeType === Node.DOCUMENT_NODE ? root.body : root;
+  if (target) {
+    observer.observe(target, OBSERVER_OPTIONS);
+  }
+}
+
+// Get every root the extension scans: the main document plus nested shadow roots and frame documents
+function getScanRoots() {
+  nestedScanRoots.forEach(root => {
+    if (!isRootConnected(root)) {
+      nestedScanRoots.delete(root);
+    }
+  });
+  return [document, ...nestedScanRoots];
+}
+
+// Check that a nested root is still part of the page
+function isRootConnected(root) {
+  if (root.nodeType !== Node.DOCUMENT_NODE) {
+    return root.host.isConnected;
+  }
+  
+  // A frame document is gone once its frame is removed or navigates elsewhere
+  try {
+    return Boolean(root.defaultView) && root.defaultView.document === root;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Find elements matching a selector in every scanned root
+function queryAllRoots(selector) {
+  return getScanRoots().flatMap(root => Array.from(root.querySelectorAll(selector)));
+}
+
+// Find open shadow roots and same-origin frames inside a subtree and start scanning them
+// Returns the roots that were added, including ones nested inside them
+function discoverNestedRoots(container) {
+  const added = [];
+  const elements = Array.from(container.querySelectorAll('*'));
+  if (container.nodeType === Node.ELEMENT_NODE) {
+    elements.unshift(container);
+  }
+  
+  elements.forEach(el => {
+    if (el.shadowRoot && !nestedScanRoots.has(el.shadowRoot)) {
+      addScanRoot(el.shadowRoot);
+      added.push(el.shadowRoot, ...discoverNestedRoots(el.shadowRoot));
+    }
+    
+    if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+      // Frames load after they are inserted, and get a new document on every navigation
+      if (!watchedFrames.has(el)) {
+        watchedFrames.add(el);
+        el.addEventListener('load', () => handleFrameLoad(el));
+      }
+      
+      const frameDocument = getScannableFrameDocument(el);
+      if (frameDocument && !nestedScanRoots.has(frameDocument)) {
+        addScanRoot(frameDocument);
+        added.push(frameDocument, ...discoverNestedRoots(frameDocument));
+      }
+    }
+  });
+  
+  return added;
+}
+
+// Get a frame's document if this script can and should scan it
+function getScannableFrameDocument(frame) {
+  let frameDocument = null;
+  try {
+    frameDocument = frame.contentDocument;
+  } catch (error) {
+    return null;
+  }
+  
+  // Cross-origin frames have no accessible document
+  if (!frameDocument || !frameDocument.body) {
+    return null;
+  }
+  
+  // Frames running their own copy of the content script scan themselves
+  if (frameDocument.documentElement.hasAttribute('data-ai-guardian-active')) {
+    return null;
+  }
+  
+  return frameDocument;
+}
+
+// Scan a same-origin frame's new document once it loads
+function handleFrameLoad(frame) {
+  if (!extensionSettings.enabled) {
+    return;
+  }
+  
+  discoverNestedRoots(frame).forEach(root => {
+    analyzeRootContent(root);
   });
 }
 
+// Start scanning a nested root
+function addScanRoot(root) {
+  nestedScanRoots.add(root);
+  injectContentStyles(root);
+  
+  if (observer) {
+    observeRoot(root);
+  }
+  
+  // Events inside frames don't reach the main document's listeners
+  if (root.nodeType === Node.DOCUMENT_NODE) {
+    addDocumentListeners(root);
+  }
+}
+
+// Add the extension's stylesheet to a nested root, which page-level styles don't reach
+function injectContentStyles(root) {
+  if (root.querySelector('link.ai-guardian-styles')) {
+    return;
+  }
+  
+  const link = document.createElement('link');
+  link.rel = 'stylesheet';
+  link.href = chrome.runtime.getURL('styles/content.css');
+  link.className = 'ai-guardian-styles';
+  
+  const parent = root.nodeType === Node.DOCUMENT_NODE ? (root.head || root.documentElement) : root;
+  parent.appendChild(link);
+}
+
+// Analyze the text elements of a single nested root
+function analyzeRootContent(root) {
+  const container = root.nodeType === Node.DOCUMENT_NODE ? root.body : root;
+  if (!container) {
+    return;
+  }
+  
+  const elements = Array.from(container.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, .text, [role="text"]'))
+    .filter(el => !shouldIgnoreElement(el) && el.innerText && el.innerText.trim().length > 15);
+  queueForAnalysis(elements.concat(findMediaElements(container)));
+}
+
 // Analyze all page content on load
 function analyzePageContent() {
   // Track start time for performance monitoring
@@ -149,10 +516,9 @@ function analyzePageContent() {
   
   // Get the main content area of the page
   // Most sites have main content in specific elements like main, article, or content divs
-  const mainContentSelectors = [
-    'main', 'article', '.content', '#content', '.main-content', '#main-content',
-    '[role="main"]', '.post', '.story', '.entry', '.page-content', '.article-content'
-  ];
+  const mainContentSelectors = extensionSettings.contentSelectors && extensionSettings.contentSelectors.length > 0
+    ? extensionSettings.contentSelectors
+    : MAIN_CONTENT_SELECTORS;
   
   let contentContainers = [];
   
@@ -170,6 +536,15 @@ function analyzePageContent() {
     contentContainers = [document.body];
   }
   
+  // Web components and same-origin frames aren't reached by the selectors above
+  discoverNestedRoots(document);
+  getScanRoots().slice(1).forEach(root => {
+    const container = root.nodeType === Node.DOCUMENT_NODE ? root.body : root;
+    if (container) {
+      contentContainers.push(container);
+    }
+  });
+  
   // High-priority text elements within content containers
   const textElementSelectors = 'p, h1, h2, h3, h4, h5, h6, li, .text, [role="text"]';
   let priorityElements = [];
@@ -187,29 +562,21 @@ function analyzePageContent() {
         }
       });
     }
+    
+    priorityElements.push(...findMediaElements(container));
   });
   
   console.log(`AI Content Guardian: Found ${priorityElements.length} high-priority elements to analyze`);
   
-  // Use a more efficient batch processing approach
-  const batchSize = 5; // Smaller batches for faster response
-  const elementBatches = [];
-  
-  // Create batches of elements
-  for (let i = 0; i < priorityElements.length; i += batchSize) {
-    elementBatches.push(priorityElements.slice(i, i + batchSize));
-  }
-  
-  // Process batches with delays to avoid freezing the UI
-  console.log(`AI Content Guardian: Processing ${elementBatches.length} batches`);
-  processBatches(elementBatches, 0);
+  // Analyze what the user can see first
+  queueForAnalysis(priorityElements);
   
   // Only search for secondary elements if we find fewer than 10 primary elements
   // This helps avoid over-analyzing pages
   if (priorityElements.length < 10) {
     setTimeout(() => {
       // Look for other potentially meaningful content, with stricter filters
-      const potentialElements = Array.from(document.querySelectorAll('div, span, a'))
+      const potentialElements = queryAllRoots('div, span, a')
         .filter(el => {
           try {
             // More comprehensive checks to avoid unnecessary processing
@@ -221,7 +588,7 @@ function analyzePageContent() {
             if (text.length < 30) return false;
             
             // Verify if contains keywords that might indicate sensitive content
-            const potentialSensitiveContent = /\b(kill|bomb|hack|sex|porn|nude|fuck|shit|ass)\b/i.test(text);
+            const potentialSensitiveContent = matchesQuickCheck(text);
             
             // Only process elements that might contain sensitive content or are very long
             return potentialSensitiveContent || text.length > 100;
@@ -235,14 +602,7 @@ function analyzePageContent() {
       const limitedElements = potentialElements.slice(0, 20);
       console.log(`AI Content Guardian: Found ${limitedElements.length} secondary elements to analyze`);
       
-      // Create batches for remaining elements
-      const secondaryBatches = [];
-      for (let i = 0; i < limitedElements.length; i += batchSize) {
-        secondaryBatches.push(limitedElements.slice(i, i + batchSize));
-      }
-      
-      // Process these batches with a longer delay between batches
-      processBatches(secondaryBatches, 0, 250); // 250ms between batches
+      queueForAnalysis(limitedElements);
       
       const endTime = performance.now();
       console.log(`AI Content Guardian: Analysis initiated in ${Math.round(endTime - startTime)}ms`);
@@ -250,24 +610,103 @@ function analyzePageContent() {
   }
 }
 
-// Process element batches with delay between each batch
-function processBatches(batches, index, delayBetweenBatches = 100) {
-  if (index >= batches.length) {
-    console.log("AI Content Guardian: Completed all batch processing");
+// Schedule elements for analysis once they are in or near the viewport
+function queueForAnalysis(elements) {
+  elements = elements.filter(element => !element.hasAttribute('data-ai-guardian-processed') && !shouldIgnoreElement(element));
+  
+  // Without IntersectionObserver, analyze everything in document order
+  if (typeof IntersectionObserver === 'undefined') {
+    nearQueue.push(...elements);
+    scheduleAnalysisQueue();
     return;
   }
   
-  const batch = batches[index];
-  batch.forEach(analyzeElement);
+  if (!visibilityObserver) {
+    visibilityObserver = new IntersectionObserver(handleVisibilityChange, { rootMargin: NEAR_VIEWPORT_MARGIN });
+  }
+  elements.forEach(element => visibilityObserver.observe(element));
+}
+
+// Queue elements that came in or near the viewport, visible ones ahead of the rest
+function handleVisibilityChange(entries) {
+  entries.forEach(entry => {
+    if (!entry.isIntersecting) {
+      return;
+    }
+    
+    const element = entry.target;
+    visibilityObserver.unobserve(element);
+    if (element.hasAttribute('data-ai-guardian-processed')) {
+      return;
+    }
+    
+    const view = element.ownerDocument.defaultView;
+    const rect = entry.boundingClientRect;
+    const isVisible = rect.bottom > 0 && rect.top < view.innerHeight;
+    (isVisible ? visibleQueue : nearQueue).push(element);
+    
+    // Hide the text until its verdict arrives, in case it scrolls into view first
+    if (extensionSettings.blurUntilAnalyzed) {
+      element.setAttribute('data-ai-guardian-pending', '');
+    }
+  });
   
-  // Schedule next batch with a delay
-  setTimeout(() => {
-    processBatches(batches, index + 1, delayBetweenBatches);
-  }, delayBetweenBatches);
+  scheduleAnalysisQueue();
+}
+
+// Start working through the queues if not already
+function scheduleAnalysisQueue() {
+  if (!analysisQueueTimer) {
+    analysisQueueTimer = setTimeout(processAnalysisQueue, 0);
+  }
+}
+
+// Analyze the next batch of queued elements, visible ones first
+function processAnalysisQueue() {
+  analysisQueueTimer = null;
+  
+  const batch = visibleQueue.splice(0, ANALYSIS_BATCH_SIZE);
+  batch.push(...nearQueue.splice(0, ANALYSIS_BATCH_SIZE - batch.length));
+  
+  batch.forEach(element => {
+    // Elements with no request in flight already have their verdict (or need none)
+    if (!analyzeElement(element)) {
+      clearPendingBlur(element);
+    }
+  });
+  
+  if (visibleQueue.length > 0 || nearQueue.length > 0) {
+    analysisQueueTimer = setTimeout(processAnalysisQueue, ANALYSIS_BATCH_DELAY_MS);
+  }
+}
+
+// Remove the blur from an element waiting for its verdict
+function clearPendingBlur(element) {
+  element.removeAttribute('data-ai-guardian-pending');
+}
+
+// Stop scheduling analysis and drop every queued element
+function stopAnalysisScheduling() {
+  if (visibilityObserver) {
+    visibilityObserver.disconnect();
+    visibilityObserver = null;
+  }
+  
+  clearTimeout(analysisQueueTimer);
+  analysisQueueTimer = null;
+  visibleQueue.length = 0;
+  nearQueue.length = 0;
+  
+  queryAllRoots('[data-ai-guardian-pending]').forEach(clearPendingBlur);
 }
 
 // Analyze a specific element for harmful content
+// Returns true if a request to the background script is in flight
 function analyzeElement(element) {
+  if (isMediaElement(element)) {
+    return analyzeMediaElement(element);
+  }
+  
   // Skip elements that should be ignored
   if (shouldIgnoreElement(element)) {
     return;
@@ -283,7 +722,8 @@ function analyzeElement(element) {
   if (!element.innerText) {
     return;
   }
-  const text = element.innerText.trim();
+  // Use the same extraction as highlighting and rephrasing so span offsets line up with text nodes
+  const text = DOMGuardianUtils.extractTextWithMapping(element).text;
   if (text.length < 10) {
     return;
   }
@@ -312,10 +752,10 @@ function analyzeElement(element) {
   
   // Do a quick local pre-check to avoid unnecessary API calls
   // This helps reduce the number of elements that need full analysis
-  const quickCheck = /\b(fuck|shit|ass|porn|nude|sex|bomb|explosive|hack|break in|harm|kill|suicide)\b/i.test(text);
+  const quickCheck = matchesQuickCheck(text);
   
   // If quick check doesn't find potentially harmful content in smaller text, skip full analysis
-  if (!quickCheck && text.length < 100) {
+  if (!quickCheck && text.length < getQuickCheckRule().minLength) {
     return;
   }
   
@@ -326,18 +766,30 @@ function analyzeElement(element) {
     element.style.opacity = '0.95';
   }
   
+  requestAnalysis(element, text, () => {
+    // Restore normal appearance
+    if (extensionSettings.autoRephrase) {
+      element.style.opacity = '1';
+    }
+  });
+  return true;
+}
+
+// Send an element's text to the background script and handle the verdict
+// onResponse runs first, whether or not analysis succeeded
+function requestAnalysis(element, text, onResponse) {
   // Request analysis with dynamic timing based on text length
   const timeout = Math.min(50 + Math.floor(text.length / 100), 200); // Progressive delay based on text length
   
   setTimeout(() => {
     // Send text to background script for analysis
     chrome.runtime.sendMessage(
-      { type: 'ANALYZE_TEXT', text },
+      { type: 'ANALYZE_TEXT', text, sensitivityLevel: extensionSettings.sensitivityLevel },
       (result) => {
-        // Restore normal appearance
-        if (extensionSettings.autoRephrase) {
-          element.style.opacity = '1';
+        if (onResponse) {
+          onResponse();
         }
+        clearPendingBlur(element);
         
         if (result && !result.error) {
           // Cache the result
@@ -350,29 +802,228 @@ function analyzeElement(element) {
   }, timeout);
 }
 
+// Check whether an element is an image, video or other media judged by its descriptive text
+function isMediaElement(element) {
+  return MEDIA_TAGS.includes(element.tagName.toUpperCase()) || element.getAttribute('role') === 'img';
+}
+
+// Find images and video in a subtree that have descriptive text or caption tracks
+function findMediaElements(container) {
+  return Array.from(container.querySelectorAll(MEDIA_SELECTOR))
+    .filter(el => getMediaText(el) || el.querySelector('track'));
+}
+
+// Collect the alt text, title, label, figure caption and loaded captions describing a media element
+function getMediaText(element) {
+  const parts = MEDIA_TEXT_ATTRIBUTES.map(attribute => element.getAttribute(attribute));
+  
+  // SVG images carry their title as a child element
+  const svgTitle = element.tagName.toUpperCase() === 'SVG' && element.querySelector('title');
+  if (svgTitle) {
+    parts.push(svgTitle.textContent);
+  }
+  
+  const figure = element.closest('figure');
+  const caption = figure && figure.querySelector('figcaption');
+  if (caption) {
+    parts.push(caption.textContent);
+  }
+  
+  if (element.tagName === 'VIDEO') {
+    parts.push(getCaptionText(element));
+  }
+  
+  const unique = [...new Set(parts.map(part => (part || '').replace(/\s+/g, ' ').trim()).filter(Boolean))];
+  return unique.join('\n').slice(0, MAX_MEDIA_TEXT_LENGTH);
+}
+
+// Get the text of a video's loaded caption and subtitle cues
+function getCaptionText(video) {
+  return Array.from(video.textTracks || [])
+    .filter(track => (track.kind === 'captions' || track.kind === 'subtitles') && track.cues)
+    .map(track => Array.from(track.cues).map(cue => (cue.text || '').replace(/<[^>]+>/g, '')).join(' '))
+    .join(' ');
+}
+
+// Cues only load once a track is enabled; load them hidden so nothing changes on screen,
+// then analyze the video again with its captions
+function loadCaptionTracks(video) {
+  video.querySelectorAll('track').forEach(trackElement => {
+    const track = trackElement.track;
+    if (!track || (track.kind !== 'captions' && track.kind !== 'subtitles') || track.mode !== 'disabled') {
+      return;
+    }
+    
+    trackElement.addEventListener('load', () => {
+      if (!elementResults.has(video)) {
+        video.removeAttribute('data-ai-guardian-processed');
+        queueForAnalysis([video]);
+      }
+    }, { once: true });
+    track.mode = 'hidden';
+  });
+}
+
+// Analyze the text describing an image or video
+// Returns true if a request to the background script is in flight
+function analyzeMediaElement(element) {
+  if (shouldIgnoreElement(element) || element.hasAttribute('data-ai-guardian-processed')) {
+    return;
+  }
+  
+  if (element.tagName === 'VIDEO') {
+    loadCaptionTracks(element);
+  }
+  
+  const text = getMediaText(element);
+  if (text.length < MEDIA_MIN_TEXT_LENGTH) {
+    return;
+  }
+  element.setAttribute('data-ai-guardian-processed', 'true');
+  
+  if (analyzedTextCache.has(text)) {
+    handleAnalysisResult(element, analyzedTextCache.get(text));
+    return;
+  }
+  
+  // Alt text and labels are short, so this mostly keeps to ones with a suspicious word
+  if (!matchesQuickCheck(text) && text.length < getQuickCheckRule().minLength) {
+    return;
+  }
+  
+  requestAnalysis(element, text);
+  return true;
+}
+
 // Process analysis results and modify the DOM if needed
 function handleAnalysisResult(element, result) {
   if (!result.isHarmful || result.category === 'safe') {
     return; // Content is safe, no action needed
   }
   
+  const action = getCategoryAction(result.category);
+  if (action === 'allow') {
+    return; // The user has chosen to leave this category alone
+  }
+  
+  elementResults.set(element, result);
+  
   // Apply modifications based on settings
   if (extensionSettings.showWarnings) {
     addWarningIndicator(element, result);
   }
   
-  if (extensionSettings.autoRephrase) {
+  // Images and video can't be rephrased, so anything but a warning hides them
+  if (isMediaElement(element)) {
+    element.classList.add('ai-guardian-flagged');
+    if (action !== 'warn') {
+      concealContent(element, result.category, action === 'collapse' ? 'collapse' : 'blur');
+    }
+    return;
+  }
+  
+  if (action === 'rephrase') {
     rephraseContent(element, result);
   } else {
-    // If not auto-rephrasing, still add a subtle indicator
+    // Keep the original text, marked with a subtle indicator
     element.classList.add('ai-guardian-flagged');
+    highlightSpans(element, result);
+    
+    if (action === 'blur' || action === 'collapse') {
+      concealContent(element, result.category, action);
+    }
   }
 }
 
+// Get what to do with content flagged in a category
+// Rephrasing falls back to a warning when auto-rephrase is turned off
+function getCategoryAction(category) {
+  const actions = extensionSettings.categoryActions || {};
+  const action = actions[category] || 'rephrase';
+  
+  if (action === 'rephrase' && !extensionSettings.autoRephrase) {
+    return 'warn';
+  }
+  return action;
+}
+
+// Summarize the action for every category, to tell when flagged content needs redoing
+function getCategoryActionSummary() {
+  return ['offensive', 'inappropriate', 'harmful'].map(getCategoryAction).join(',');
+}
+
+// Describe the ignore and content selectors, to tell when they change
+function getSelectorSummary() {
+  return JSON.stringify([extensionSettings.ignoreSelectors || [], extensionSettings.contentSelectors || []]);
+}
+
+// Hide flagged content behind a blur or a collapsed placeholder until the user clicks it
+function concealContent(element, category, action) {
+  // Remember the category so revealing harmful content can ask for confirmation
+  element.setAttribute('data-ai-guardian-category', category);
+  element.setAttribute('data-ai-guardian-action', action);
+  
+  if (action === 'collapse' && element.parentNode) {
+    const placeholder = document.createElement('span');
+    placeholder.className = `ai-guardian-placeholder ai-guardian-${category}`;
+    placeholder.setAttribute('role', 'button');
+    placeholder.setAttribute('tabindex', '0');
+    element.parentNode.insertBefore(placeholder, element);
+  }
+  
+  setContentConcealed(element, true);
+}
+
+// Hide or show concealed content, keeping its placeholder's label in step
+function setContentConcealed(element, concealed) {
+  element.classList.toggle('ai-guardian-concealed', concealed);
+  
+  const placeholder = getContentPlaceholder(element);
+  if (placeholder) {
+    const category = element.getAttribute('data-ai-guardian-category');
+    placeholder.textContent = concealed
+      ? `Content hidden: ${category} — click to show`
+      : `Showing ${category} content — click to hide`;
+  }
+}
+
+// Get the placeholder shown in place of collapsed content, if it has one
+function getContentPlaceholder(element) {
+  const previous = element.previousElementSibling;
+  return previous && previous.classList.contains('ai-guardian-placeholder') ? previous : null;
+}
+
+// Get the warning badge that follows a flagged image or video, if it has one
+function getMediaWarning(element) {
+  const next = element.nextElementSibling;
+  return next && next.classList.contains('ai-guardian-media-warning') ? next : null;
+}
+
+// Highlight the exact terms that caused an element to be flagged
+function highlightSpans(element, result) {
+  if (!result.spans || result.spans.length === 0 || element.querySelector('.ai-guardian-highlight')) {
+    return;
+  }
+  
+  // Spans are offsets into the analyzed text; skip if the element has changed since
+  const textMapping = DOMGuardianUtils.extractTextWithMapping(element);
+  if (textMapping.text !== result.text) {
+    return;
+  }
+  
+  const modifications = result.spans.map(span => ({
+    type: 'highlight',
+    range: [span.start, span.end],
+    category: span.category,
+    message: `${span.category}: "${span.term}" (${Math.round(span.confidence * 100)}% confidence)`
+  }));
+  DOMGuardianUtils.applyModifications(element, textMapping.mapping, modifications);
+}
+
 // Add a warning indicator to harmful content
 function addWarningIndicator(element, result) {
   // Check if an indicator already exists
-  if (element.querySelector('.ai-guardian-warning')) {
+  if (element.querySelector('.ai-guardian-warning') || getMediaWarning(element)) {
     return; // Avoid adding duplicate indicators
   }
 
@@ -384,8 +1035,37 @@ function addWarningIndicator(element, result) {
   tooltip.className = 'ai-guardian-tooltip';
   tooltip.textContent = result.explanation;
   
+  // List the matched terms so it's clear why the content was flagged
+  if (result.spans && result.spans.length > 0) {
+    const terms = [...new Set(result.spans.map(span => span.term.toLowerCase()))];
+    const termList = document.createElement('span');
+    termList.className = 'ai-guardian-tooltip-terms';
+    termList.textContent = `Matched: ${terms.join(', ')}`;
+    tooltip.appendChild(termList);
+  }
+  
   warningBadge.appendChild(tooltip);
   
+  // Feedback actions, shown when the badge is clicked
+  const actions = document.createElement('span');
+  actions.className = 'ai-guardian-feedback-actions';
+  [['not_harmful', 'Not harmful'], ['harmful', 'Report this']].forEach(([label, text]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'ai-guardian-feedback-button';
+    button.setAttribute('data-feedback-label', label);
+    button.textContent = text;
+    actions.appendChild(button);
+  });
+  warningBadge.appendChild(actions);
+  
+  // Images and video can't hold the badge, so it follows them instead
+  if (isMediaElement(element)) {
+    warningBadge.classList.add('ai-guardian-media-warning');
+    element.insertAdjacentElement('afterend', warningBadge);
+    return;
+  }
+  
   // Position relative to the element - use a safer approach that preserves layout
   const elementPosition = getComputedStyle(element).position;
   if (elementPosition === 'static') {
@@ -401,7 +1081,7 @@ function addWarningIndicator(element, result) {
 function rephraseContent(element, result) {
   // Avoid rephrasing already modified content
   if (element.classList.contains('ai-guardian-rephrased') || 
-      element.querySelector('.ai-guardian-rephrased')) {
+      element.querySelector('.ai-guardian-rephrased, .ai-guardian-replaced')) {
     element.classList.remove('ai-guardian-processing');
     return;
   }
@@ -416,11 +1096,23 @@ function rephraseContent(element, result) {
     .filter(cls => !cls.startsWith('ai-guardian-'))
     .join(' ');
   
+  // Map the element's text nodes so character ranges from the backend can be applied in place
+  const textMapping = DOMGuardianUtils.extractTextWithMapping(element);
+  
   // Request the rephrased version
   chrome.runtime.sendMessage(
-    { type: 'REPHRASE_TEXT', text: result.text, category: result.category },
+    { type: 'REPHRASE_TEXT', text: textMapping.text, category: result.category },
     (rephraseResult) => {
-      if (rephraseResult && !rephraseResult.error) {
+      const modifications = rephraseResult && Array.isArray(rephraseResult.modifications)
+        ? rephraseResult.modifications.filter(mod => mod.type === 'replace')
+        : [];
+      
+      if (rephraseResult && !rephraseResult.error && modifications.length > 0) {
+        // Only change the offending words so links, formatting and event handlers survive
+        DOMGuardianUtils.applyModifications(element, textMapping.mapping, modifications);
+        element.appendChild(createRephrasedIndicator());
+      } else if (rephraseResult && !rephraseResult.error) {
+        // Older servers and whole-text rewrites replace the element's text
         // Create wrapper that preserves the original element's type and styling
         const wrapper = document.createElement('span');
         wrapper.className = `ai-guardian-rephrased ${originalClasses}`;
@@ -434,8 +1126,9 @@ function rephraseContent(element, result) {
           wrapper.textContent = rephraseResult.rephrased;
         }
         
-        // Store the original text for reference
+        // Store the original and rephrased text so they can be toggled
         wrapper.setAttribute('data-original-text', result.text);
+        wrapper.setAttribute('data-rephrased-text', rephraseResult.rephrased);
         
         // Preserve original element display style
         if (originalDisplay) {
@@ -447,43 +1140,630 @@ function rephraseContent(element, result) {
         element.textContent = '';
         element.appendChild(wrapper);
         
-        // Add indicator that content was modified
-        const indicator = document.createElement('span');
-        indicator.className = 'ai-guardian-indicator';
-        indicator.title = 'This content was automatically rephrased';
-        indicator.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="feather feather-edit-2"><path d="M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"></path></svg>`;
-        
         // Position the indicator at the end of the content
-        wrapper.appendChild(indicator);
+        wrapper.appendChild(createRephrasedIndicator());
       }
       
+      // Remember the category so revealing harmful content can ask for confirmation
+      element.setAttribute('data-ai-guardian-category', result.category);
+      
       // Remove processing class
       element.classList.remove('ai-guardian-processing');
     }
   );
 }
 
-// Remove all modifications made by the extension
-function removeAllModifications() {
+// Create the indicator that marks content as modified
+function createRephrasedIndicator() {
+  const indicator = document.createElement('span');
+  indicator.className = 'ai-guardian-indicator';
+  indicator.title = 'This content was automatically rephrased. Click to show the original.';
+  indicator.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="feather feather-edit-2"><path d="M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"></path></svg>`;
+  return indicator;
+}
+
+// Handle clicks on rephrased content and indicators to toggle the original text,
+// and on blurred content and placeholders to show or hide it
+function handleRevealClick(event) {
+  const eventTarget = getEventTarget(event);
+  if (!eventTarget.closest) {
+    return;
+  }
+  
+  const hidden = eventTarget.closest('.ai-guardian-placeholder, .ai-guardian-concealed');
+  if (hidden) {
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const element = hidden.classList.contains('ai-guardian-placeholder') ? hidden.nextElementSibling : hidden;
+    if (element) {
+      toggleConcealedContent(element, element.classList.contains('ai-guardian-concealed'));
+    }
+    return;
+  }
+  
+  const target = eventTarget.closest('.ai-guardian-indicator, .ai-guardian-rephrased');
+  if (!target) {
+    return;
+  }
+  
+  const container = getRephrasedContainer(target);
+  if (!container) {
+    return;
+  }
+  
+  // Don't let the click follow links or trigger page handlers
+  event.preventDefault();
+  event.stopPropagation();
+  
+  toggleOriginalText(container, !container.classList.contains('ai-guardian-showing-original'));
+}
+
+// Let keyboard users open collapsed content from its placeholder
+function handlePlaceholderKeydown(event) {
+  if (event.key !== 'Enter' && event.key !== ' ') {
+    return;
+  }
+  
+  const target = getEventTarget(event);
+  if (target.classList && target.classList.contains('ai-guardian-placeholder')) {
+    event.preventDefault();
+    target.click();
+  }
+}
+
+// Find the element whose text an indicator or wrapper controls
+// Whole-text rewrites use a wrapper; in-place rewrites use the analyzed element itself
+function getRephrasedContainer(target) {
+  if (target.classList.contains('ai-guardian-rephrased')) {
+    return target;
+  }
+  
+  const parent = target.parentElement;
+  if (!parent) {
+    return null;
+  }
+  if (parent.classList.contains('ai-guardian-rephrased') || parent.querySelector('.ai-guardian-replaced')) {
+    return parent;
+  }
+  return null;
+}
+
+// Show the original or rephrased text of a container
+// Returns false if the user declined to reveal harmful content
+function toggleOriginalText(container, showOriginal, confirmed = false) {
+  if (showOriginal && !confirmed && !confirmReveal(container)) {
+    return false;
+  }
+  
+  if (container.classList.contains('ai-guardian-rephrased')) {
+    // The wrapper's first child is its text; the indicator follows it
+    const textNode = container.firstChild;
+    if (textNode && textNode.nodeType === Node.TEXT_NODE) {
+      textNode.nodeValue = container.getAttribute(showOriginal ? 'data-original-text' : 'data-rephrased-text');
+    }
+  } else {
+    container.querySelectorAll('.ai-guardian-replaced').forEach(wrapper => {
+      wrapper.textContent = wrapper.getAttribute(showOriginal ? 'data-original-text' : 'data-replacement-text');
+    });
+  }
+  
+  container.classList.toggle('ai-guardian-showing-original', showOriginal);
+  
+  const indicator = container.querySelector(':scope > .ai-guardian-indicator');
+  if (indicator) {
+    indicator.title = showOriginal
+      ? 'Showing the original text. Click to show the rephrased version.'
+      : 'This content was automatically rephrased. Click to show the original.';
+  }
+  
+  return true;
+}
+
+// Show or hide blurred or collapsed content
+// Returns false if the user declined to reveal harmful content
+function toggleConcealedContent(element, show, confirmed = false) {
+  if (show && !confirmed && !confirmReveal(element)) {
+    return false;
+  }
+  
+  setContentConcealed(element, !show);
+  return true;
+}
+
+// Ask before revealing content flagged as harmful, if the user wants to be asked
+// Returns false if the user declined
+function confirmReveal(element) {
+  const categoryHolder = element.closest('[data-ai-guardian-category]');
+  const category = categoryHolder && categoryHolder.getAttribute('data-ai-guardian-category');
+  
+  if (category !== 'harmful' || !extensionSettings.confirmRevealHarmful) {
+    return true;
+  }
+  return window.confirm('This content was flagged as harmful. Show the original text?');
+}
+
+// Find every rephrased container and every blurred or collapsed element in this frame
+function getToggleableElements() {
+  const containers = new Set();
+  queryAllRoots('.ai-guardian-indicator').forEach(indicator => {
+    const container = getRephrasedContainer(indicator);
+    if (container) {
+      containers.add(container);
+    }
+  });
+  
+  return { containers: Array.from(containers), hiddenElements: queryAllRoots('[data-ai-guardian-action]') };
+}
+
+// Report what showing all originals would change in this frame
+// The background script combines the reports of every frame in the tab to toggle them together
+function getOriginalsState() {
+  const { containers, hiddenElements } = getToggleableElements();
+  
+  const allShown = containers.every(container => container.classList.contains('ai-guardian-showing-original')) &&
+    !hiddenElements.some(element => element.classList.contains('ai-guardian-concealed'));
+  const hasHarmful = [...containers, ...hiddenElements].some(container => {
+    const holder = container.closest('[data-ai-guardian-category]');
+    return holder && holder.getAttribute('data-ai-guardian-category') === 'harmful';
+  });
+  
+  return {
+    count: containers.length + hiddenElements.length,
+    allShown,
+    needsConfirm: hasHarmful && extensionSettings.confirmRevealHarmful
+  };
+}
+
+// Switch every rephrased element in this frame between original and rephrased text,
+// and show or hide every blurred or collapsed element with them
+function setAllOriginals(show) {
+  const { containers, hiddenElements } = getToggleableElements();
+  containers.forEach(container => toggleOriginalText(container, show, true));
+  hiddenElements.forEach(element => toggleConcealedContent(element, show, true));
+  return { count: containers.length + hiddenElements.length };
+}
+
+// Handle clicks on warning badges and their feedback actions
+function handleFeedbackClick(event) {
+  const target = getEventTarget(event);
+  const badge = target.closest && target.closest('.ai-guardian-warning');
+  if (!badge) {
+    return;
+  }
+  
+  // Don't let the click follow links or trigger page handlers
+  event.preventDefault();
+  event.stopPropagation();
+  
+  const button = target.closest('.ai-guardian-feedback-button');
+  if (!button) {
+    badge.classList.toggle('ai-guardian-feedback-open');
+    return;
+  }
+  
+  const element = badge.classList.contains('ai-guardian-media-warning') ? badge.previousElementSibling : badge.parentElement;
+  const result = element && elementResults.get(element);
+  if (!result) {
+    return;
+  }
+  
+  const label = button.getAttribute('data-feedback-label');
+  chrome.runtime.sendMessage({
+    type: 'SUBMIT_FEEDBACK',
+    text: result.text,
+    label,
+    category: result.category,
+    source: 'badge'
+  });
+  
+  if (label === 'not_harmful') {
+    // Undo the changes and remember the verdict so this text isn't flagged again
+    analyzedTextCache.set(result.text, { ...result, isHarmful: false, category: 'safe', spans: [], userOverride: true });
+    elementResults.delete(element);
+    removeModifications(element);
+    clearElementFlags(element);
+    showNotice('Thanks! This content won\'t be flagged again.');
+  } else {
+    badge.classList.remove('ai-guardian-feedback-open');
+    showNotice('Thanks! This content was reported.');
+  }
+}
+
+// Get the element an event started on
+// Events from inside shadow roots are retargeted to the host by the time they reach the document
+function getEventTarget(event) {
+  return event.composedPath ? event.composedPath()[0] : event.target;
+}
+
+// Show a short-lived notice in the corner of the page
+function showNotice(text) {
+  const notice = document.createElement('div');
+  notice.className = 'ai-guardian-notice';
+  notice.setAttribute('role', 'status');
+  notice.textContent = text;
+  document.body.appendChild(notice);
+  
+  setTimeout(() => {
+    notice.remove();
+  }, 3000);
+}
+
+// Check or rephrase selected text and show the outcome in a panel
+// Runs whether or not automatic scanning is on, and without the quick-check length filter
+function showSelectionPanel(action, text) {
+  const panel = createSelectionPanel(action === 'rephrase' ? 'Rephrase Selection' : 'Check Selection');
+  const body = panel.querySelector('.ai-guardian-panel-body');
+  body.textContent = action === 'rephrase' ? 'Rephrasing…' : 'Checking…';
+  
+  chrome.runtime.sendMessage({
+    type: 'ANALYZE_TEXT',
+    text,
+    sensitivityLevel: extensionSettings.sensitivityLevel
+  }, (result) => {
+    if (!panel.isConnected) {
+      return;
+    }
+    if (!result || result.error) {
+      showPanelMessage(body, (result && result.error) || 'Could not analyze the selection.');
+      return;
+    }
+    
+    if (action !== 'rephrase') {
+      renderVerdict(body, result);
+      return;
+    }
+    
+    if (!result.isHarmful) {
+      renderVerdict(body, result);
+      appendPanelText(body, 'ai-guardian-panel-note', 'No rephrasing needed.');
+      return;
+    }
+    
+    chrome.runtime.sendMessage({
+      type: 'REPHRASE_TEXT',
+      text,
+      category: result.category
+    }, (rephraseResult) => {
+      if (!panel.isConnected) {
+        return;
+      }
+      if (!rephraseResult || rephraseResult.error || !rephraseResult.rephrased) {
+        showPanelMessage(body, (rephraseResult && rephraseResult.error) || 'Could not rephrase the selection.');
+        return;
+      }
+      
+      renderVerdict(body, result);
+      renderRephrased(body, rephraseResult.rephrased);
+    });
+  });
+}
+
+// Create the selection panel, replacing any panel already open
+function createSelectionPanel(title) {
+  closeSelectionPanel();
+  
+  const panel = document.createElement('div');
+  panel.className = 'ai-guardian-panel';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', title);
+  
+  const header = document.createElement('div');
+  header.className = 'ai-guardian-panel-header';
+  
+  const heading = document.createElement('span');
+  heading.className = 'ai-guardian-panel-title';
+  heading.textContent = title;
+  header.appendChild(heading);
+  
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.className = 'ai-guardian-panel-close';
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.textContent = '×';
+  closeButton.addEventListener('click', closeSelectionPanel);
+  header.appendChild(closeButton);
+  
+  const body = document.createElement('div');
+  body.className = 'ai-guardian-panel-body';
+  
+  panel.appendChild(header);
+  panel.appendChild(body);
+  document.body.appendChild(panel);
+  
+  document.addEventListener('keydown', handlePanelKeydown, true);
+  return panel;
+}
+
+// Close the selection panel if it is open
+function closeSelectionPanel() {
+  document.querySelectorAll('.ai-guardian-panel').forEach(el => el.remove());
+  document.removeEventListener('keydown', handlePanelKeydown, true);
+}
+
+// Close the selection panel with Escape
+function handlePanelKeydown(event) {
+  if (event.key === 'Escape') {
+    closeSelectionPanel();
+  }
+}
+
+// Replace the panel body with a single message
+function showPanelMessage(body, text) {
+  body.textContent = '';
+  appendPanelText(body, 'ai-guardian-panel-note', text);
+}
+
+// Append a block of text to the panel body
+function appendPanelText(body, className, text) {
+  const block = document.createElement('div');
+  block.className = className;
+  block.textContent = text;
+  body.appendChild(block);
+  return block;
+}
+
+// Show the category, explanation and matched terms of an analysis result
+function renderVerdict(body, result) {
+  body.textContent = '';
+  
+  const verdict = appendPanelText(
+    body,
+    'ai-guardian-panel-verdict',
+    result.isHarmful ? `Flagged as ${result.category}` : 'No issues found'
+  );
+  verdict.classList.add(`ai-guardian-panel-${result.isHarmful ? result.category : 'safe'}`);
+  
+  if (result.explanation) {
+    appendPanelText(body, 'ai-guardian-panel-note', result.explanation);
+  }
+  
+  const terms = Array.from(new Set((result.spans || []).map(span => span.term)));
+  if (terms.length > 0) {
+    appendPanelText(body, 'ai-guardian-panel-note', `Matched: ${terms.join(', ')}`);
+  }
+}
+
+// Show rephrased text with a button to copy it
+function renderRephrased(body, rephrased) {
+  appendPanelText(body, 'ai-guardian-panel-rephrased', rephrased);
+  
+  const copyButton = document.createElement('button');
+  copyButton.type = 'button';
+  copyButton.className = 'ai-guardian-panel-button';
+  copyButton.textContent = 'Copy';
+  copyButton.addEventListener('click', () => {
+    navigator.clipboard.writeText(rephrased)
+      .then(() => {
+        copyButton.textContent = 'Copied';
+      })
+      .catch(error => {
+        console.error('Error copying rephrased text:', error);
+      });
+  });
+  body.appendChild(copyButton);
+}
+
+// Find the editor an input event came from, or null if it isn't one the compose guard watches
+function getComposeEditor(target) {
+  if (!target || target.nodeType !== Node.ELEMENT_NODE) {
+    return null;
+  }
+  
+  if (target.tagName === 'TEXTAREA') {
+    return target;
+  }
+  if (target.tagName === 'INPUT') {
+    return COMPOSE_INPUT_TYPES.includes(target.type) ? target : null;
+  }
+  
+  // Use the outermost element of a contenteditable editor
+  if (target.isContentEditable) {
+    let editor = target;
+    while (editor.parentElement && editor.parentElement.isContentEditable) {
+      editor = editor.parentElement;
+    }
+    return editor;
+  }
+  
+  return null;
+}
+
+// Get the current draft text of an editor
+function getDraftText(editor) {
+  return editor.isContentEditable ? editor.innerText : editor.value;
+}
+
+// Debounce draft analysis while the user types
+function handleComposeInput(event) {
+  if (!extensionSettings.enabled || !extensionSettings.composeGuard) {
+    return;
+  }
+  
+  const editor = getComposeEditor(getEventTarget(event));
+  if (!editor) {
+    return;
+  }
+  
+  clearTimeout(composeTimers.get(editor));
+  composeTimers.set(editor, setTimeout(() => {
+    composeTimers.delete(editor);
+    checkDraft(editor);
+  }, COMPOSE_DEBOUNCE_MS));
+}
+
+// Analyze an editor's draft and nudge the user if it's flagged
+function checkDraft(editor) {
+  const text = getDraftText(editor).trim();
+  if (text.length < COMPOSE_MIN_LENGTH || text === dismissedDrafts.get(editor)) {
+    removeComposeNudge(editor);
+    return;
+  }
+  
+  chrome.runtime.sendMessage(
+    { type: 'ANALYZE_TEXT', text, sensitivityLevel: extensionSettings.sensitivityLevel },
+    (result) => {
+      // Ignore results for drafts the user has since changed
+      if (!editor.isConnected || getDraftText(editor).trim() !== text) {
+        return;
+      }
+      
+      if (result && !result.error && result.isHarmful) {
+        showComposeNudge(editor, text, result);
+      } else {
+        removeComposeNudge(editor);
+      }
+    }
+  );
+}
+
+// Show a nudge below an editor offering a rephrased draft
+function showComposeNudge(editor, text, result) {
+  removeComposeNudge(editor);
+  
+  const nudge = document.createElement('div');
+  nudge.className = `ai-guardian-compose-nudge ai-guardian-compose-${result.category}`;
+  nudge.setAttribute('role', 'status');
+  
+  const message = document.createElement('span');
+  message.className = 'ai-guardian-compose-message';
+  message.textContent = `This may be ${result.category} — rephrase?`;
+  nudge.appendChild(message);
+  
+  const suggestion = document.createElement('span');
+  suggestion.className = 'ai-guardian-compose-suggestion';
+  nudge.appendChild(suggestion);
+  
+  const dismissButton = document.createElement('button');
+  dismissButton.type = 'button';
+  dismissButton.className = 'ai-guardian-compose-button';
+  dismissButton.textContent = 'Dismiss';
+  dismissButton.addEventListener('click', () => {
+    dismissedDrafts.set(editor, text);
+    removeComposeNudge(editor);
+  });
+  nudge.appendChild(dismissButton);
+  
+  // Keep focus in the editor when the nudge is clicked
+  nudge.addEventListener('mousedown', event => event.preventDefault());
+  
+  // Editors in same-origin frames get the nudge in their own document
+  positionComposeNudge(editor, nudge);
+  editor.ownerDocument.body.appendChild(nudge);
+  composeNudges.set(editor, nudge);
+  
+  chrome.runtime.sendMessage({ type: 'REPHRASE_TEXT', text, category: result.category }, (rephraseResult) => {
+    if (!nudge.isConnected || !rephraseResult || rephraseResult.error) {
+      return;
+    }
+    
+    const rephrased = rephraseResult.rephrased;
+    if (!rephrased || rephrased === text) {
+      return;
+    }
+    
+    suggestion.textContent = rephrased;
+    
+    const useButton = document.createElement('button');
+    useButton.type = 'button';
+    useButton.className = 'ai-guardian-compose-button ai-guardian-compose-use';
+    useButton.textContent = 'Use suggestion';
+    useButton.addEventListener('click', () => {
+      replaceDraft(editor, rephrased);
+      removeComposeNudge(editor);
+    });
+    nudge.insertBefore(useButton, dismissButton);
+  });
+}
+
+// Place a nudge just below its editor
+function positionComposeNudge(editor, nudge) {
+  const rect = editor.getBoundingClientRect();
+  const view = editor.ownerDocument.defaultView;
+  nudge.style.top = `${rect.bottom + view.scrollY + 4}px`;
+  nudge.style.left = `${rect.left + view.scrollX}px`;
+  nudge.style.maxWidth = `${Math.max(rect.width, 240)}px`;
+}
+
+// Remove the nudge for an editor, if any
+function removeComposeNudge(editor) {
+  const nudge = composeNudges.get(editor);
+  if (nudge) {
+    nudge.remove();
+    composeNudges.delete(editor);
+  }
+}
+
+// Replace an editor's draft so the page sees it as user input
+// insertText keeps the browser's undo history and fires the events frameworks listen for
+function replaceDraft(editor, text) {
+  const doc = editor.ownerDocument;
+  editor.focus();
+  
+  if (editor.isContentEditable) {
+    const range = doc.createRange();
+    range.selectNodeContents(editor);
+    const selection = doc.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  } else {
+    editor.select();
+  }
+  
+  if (!doc.execCommand('insertText', false, text)) {
+    if (editor.isContentEditable) {
+      editor.textContent = text;
+    } else {
+      editor.value = text;
+    }
+    editor.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+}
+
+// Remove the extension's modifications inside a root (the document or a single element)
+function removeModifications(root) {
   // Remove warning badges
-  document.querySelectorAll('.ai-guardian-warning').forEach(el => el.remove());
+  root.querySelectorAll('.ai-guardian-warning').forEach(el => el.remove());
   
-  // Remove indicators
-  document.querySelectorAll('.ai-guardian-indicator').forEach(el => el.remove());
+  // Remove indicators and placeholders of collapsed content
+  root.querySelectorAll('.ai-guardian-indicator, .ai-guardian-placeholder').forEach(el => el.remove());
+  
+  // Restore words replaced in place and unwrap highlighted terms
+  DOMGuardianUtils.restoreReplacedText(root);
+  DOMGuardianUtils.removeHighlights(root);
   
   // Restore original text
-  document.querySelectorAll('.ai-guardian-rephrased').forEach(el => {
+  root.querySelectorAll('.ai-guardian-rephrased').forEach(el => {
     const parent = el.parentElement;
     const originalText = el.getAttribute('data-original-text');
     if (originalText && parent) {
       parent.textContent = originalText;
     }
   });
+}
+
+// Remove the flags the extension set on an analyzed element
+function clearElementFlags(element) {
+  // A collapsed element's placeholder and a media warning badge sit just outside it
+  [getContentPlaceholder(element), getMediaWarning(element)].forEach(control => {
+    if (control) {
+      control.remove();
+    }
+  });
+  
+  element.removeAttribute('data-ai-guardian-category');
+  element.removeAttribute('data-ai-guardian-action');
+  element.classList.remove('ai-guardian-flagged', 'ai-guardian-showing-original', 'ai-guardian-concealed');
+}
+
+// Remove all modifications made by the extension
+function removeAllModifications() {
+  getScanRoots().forEach(removeModifications);
   
   // Remove all flags and processed attributes
-  document.querySelectorAll('[data-ai-guardian-processed]').forEach(el => {
+  queryAllRoots('[data-ai-guardian-processed]').forEach(el => {
     el.removeAttribute('data-ai-guardian-processed');
-    el.classList.remove('ai-guardian-flagged');
+    clearElementFlags(el);
   });
 }
 
@@ -502,17 +1782,27 @@ function shouldIgnoreElement(element) {
   }
   
   // Check if this element contains any of our modified elements
-  if (element.querySelector('.ai-guardian-rephrased, .ai-guardian-warning, .ai-guardian-indicator, .ai-guardian-flagged')) {
+  if (element.querySelector('.ai-guardian-rephrased, .ai-guardian-replaced, .ai-guardian-warning, .ai-guardian-indicator, .ai-guardian-flagged, .ai-guardian-placeholder')) {
     return true;
   }
   
-  // Ignore specific tags
-  if (IGNORE_TAGS.includes(element.tagName)) {
+  // Ignore specific tags; media is judged by its descriptive text instead
+  if (IGNORE_TAGS.includes(element.tagName.toUpperCase()) && !isMediaElement(element)) {
     return true;
   }
   
-  // Ignore elements with specific classes
-  if (element.classList && IGNORE_CLASS_PATTERNS.some(pattern => 
+  // Never rewrite what the user is writing; the compose guard handles editors
+  if (element.isContentEditable) {
+    return true;
+  }
+  
+  // Ignore elements matching the user's ignore selectors, or else the built-in class patterns
+  const ignoreSelectors = extensionSettings.ignoreSelectors;
+  if (ignoreSelectors && ignoreSelectors.length > 0) {
+    if (element.closest(ignoreSelectors.join(', '))) {
+      return true;
+    }
+  } else if (element.classList && IGNORE_CLASS_PATTERNS.some(pattern => 
     Array.from(element.classList).some(c => pattern.test(c))
   )) {
     return true;
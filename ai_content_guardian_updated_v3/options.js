@@ -0,0 +1,861 @@
+// AI Content Guardian - Options Page Script
+// Edits the configuration that doesn't fit in the popup, and imports and exports it as JSON
+
+// DOM elements
+const categoryActionSelects = document.querySelectorAll('.actions-container select');
+const customTermsBody = document.getElementById('customTermsBody');
+const addTermBtn = document.getElementById('addTermBtn');
+const importTermsBtn = document.getElementById('importTermsBtn');
+const importTermsFile = document.getElementById('importTermsFile');
+const customTermsStatus = document.getElementById('customTermsStatus');
+const siteRulesBody = document.getElementById('siteRulesBody');
+const addSiteRuleBtn = document.getElementById('addSiteRuleBtn');
+const siteRulesStatus = document.getElementById('siteRulesStatus');
+const ignoreSelectorsInput = document.getElementById('ignoreSelectors');
+const contentSelectorsInput = document.getElementById('contentSelectors');
+const selectorsStatus = document.getElementById('selectorsStatus');
+
+// Backend elements
+const backendMode = document.getElementById('backendMode');
+const backendUrl = document.getElementById('backendUrl');
+const backendAuth = document.getElementById('backendAuth');
+const backendTimeout = document.getElementById('backendTimeout');
+const shareFeedbackToggle = document.getElementById('shareFeedbackToggle');
+const testConnectionBtn = document.getElementById('testConnectionBtn');
+const connectionStatus = document.getElementById('connectionStatus');
+
+// Backup elements
+const exportBtn = document.getElementById('exportBtn');
+const importBtn = document.getElementById('importBtn');
+const importFile = document.getElementById('importFile');
+const importStatus = document.getElementById('importStatus');
+const importErrors = document.getElementById('importErrors');
+
+// Default settings
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  autoRephrase: true,
+  showWarnings: true,
+  sensitivityLevel: 'medium',
+  confirmRevealHarmful: false,
+  composeGuard: false,
+  blurUntilAnalyzed: false,
+  categoryActions: {
+    offensive: 'rephrase',
+    inappropriate: 'rephrase',
+    harmful: 'rephrase'
+  },
+  ignoreSelectors: [],
+  contentSelectors: []
+};
+
+// Default backend configuration
+const DEFAULT_BACKEND = {
+  url: 'http://localhost:5000',
+  authHeader: '',
+  timeout: 5000,
+  mode: 'remote-preferred',
+  shareFeedback: false
+};
+
+// Allowed values, shared by the form and the import schema
+const CATEGORIES = ['offensive', 'inappropriate', 'harmful'];
+const CATEGORY_ACTIONS = ['rephrase', 'blur', 'collapse', 'warn', 'allow'];
+const SENSITIVITY_LEVELS = ['low', 'medium', 'high'];
+const SITE_MODES = ['skip', 'scan'];
+const BACKEND_MODES = ['remote-preferred', 'remote-only', 'local-only'];
+const LEXICON_LANGUAGES = ['en', 'es', 'hi'];
+
+// The server turns away requests carrying more custom terms than this (MAX_CUSTOM_TERMS in server.py)
+const MAX_CUSTOM_TERMS = 5000;
+
+// Labels for the choices in the editable tables
+const SITE_MODE_LABELS = { '': 'Default', skip: 'Never scan', scan: 'Always scan' };
+const SENSITIVITY_LABELS = { '': 'Default', low: 'Low', medium: 'Medium', high: 'High' };
+const LANGUAGE_LABELS = { en: 'English', es: 'Spanish', hi: 'Hindi' };
+
+// Exported files are tagged so other JSON files are turned away on import
+const CONFIG_FORMAT = 'ai-content-guardian-config';
+const CONFIG_VERSION = 1;
+
+// Shape of an exported configuration; each section is optional on import and replaces the stored one
+const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['format'],
+  properties: {
+    format: { type: 'string', enum: [CONFIG_FORMAT] },
+    version: { type: 'integer', min: 1, max: CONFIG_VERSION },
+    exportedAt: { type: 'string' },
+    settings: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        autoRephrase: { type: 'boolean' },
+        showWarnings: { type: 'boolean' },
+        sensitivityLevel: { type: 'string', enum: SENSITIVITY_LEVELS },
+        confirmRevealHarmful: { type: 'boolean' },
+        composeGuard: { type: 'boolean' },
+        blurUntilAnalyzed: { type: 'boolean' },
+        categoryActions: {
+          type: 'object',
+          properties: Object.fromEntries(CATEGORIES.map(category => [category, { type: 'string', enum: CATEGORY_ACTIONS }]))
+        },
+        ignoreSelectors: { type: 'array', items: { type: 'string', check: isValidSelector, message: 'is not a valid CSS selector' } },
+        contentSelectors: { type: 'array', items: { type: 'string', check: isValidSelector, message: 'is not a valid CSS selector' } }
+      }
+    },
+    siteRules: {
+      type: 'object',
+      keys: { check: isValidDomain, message: 'is not a valid domain' },
+      values: {
+        type: 'object',
+        properties: {
+          mode: { type: 'string', enum: SITE_MODES },
+          sensitivityLevel: { type: 'string', enum: SENSITIVITY_LEVELS }
+        }
+      }
+    },
+    backend: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', check: isValidServerUrl, message: 'must be an http or https URL' },
+        authHeader: { type: 'string' },
+        timeout: { type: 'integer', min: 500, max: 60000 },
+        mode: { type: 'string', enum: BACKEND_MODES },
+        shareFeedback: { type: 'boolean' }
+      }
+    },
+    customLexicon: {
+      type: 'array',
+      check: entries => entries.length <= MAX_CUSTOM_TERMS,
+      message: `must have at most ${MAX_CUSTOM_TERMS} terms`,
+      items: {
+        type: 'object',
+        required: ['term', 'category'],
+        properties: {
+          term: { type: 'string', check: term => term.trim().length > 0, message: 'must not be empty' },
+          category: { type: 'string', enum: CATEGORIES },
+          replacement: { type: 'string' },
+          lang: { type: 'string', enum: LEXICON_LANGUAGES }
+        }
+      }
+    }
+  }
+};
+
+// How each schema type is checked and described in error messages
+const SCHEMA_TYPES = {
+  object: { test: value => value !== null && typeof value === 'object' && !Array.isArray(value), name: 'an object' },
+  array: { test: value => Array.isArray(value), name: 'a list' },
+  string: { test: value => typeof value === 'string', name: 'text' },
+  boolean: { test: value => typeof value === 'boolean', name: 'true or false' },
+  integer: { test: value => Number.isInteger(value), name: 'a whole number' }
+};
+
+// Load everything when the page opens
+document.addEventListener('DOMContentLoaded', loadOptions);
+
+// Event listeners for controls
+categoryActionSelects.forEach(select => select.addEventListener('change', () => {
+  updateSettings({ categoryActions: getCategoryActions() });
+}));
+
+addTermBtn.addEventListener('click', () => {
+  const row = createTermRow({ term: '', category: 'offensive', replacement: '', lang: 'en' });
+  customTermsBody.appendChild(row);
+  row.querySelector('input').focus();
+});
+
+importTermsBtn.addEventListener('click', () => importTermsFile.click());
+importTermsFile.addEventListener('change', () => {
+  if (importTermsFile.files[0]) {
+    importCustomTermsCsv(importTermsFile.files[0]);
+  }
+  importTermsFile.value = '';
+});
+
+addSiteRuleBtn.addEventListener('click', () => {
+  const row = createSiteRuleRow('', {});
+  siteRulesBody.appendChild(row);
+  row.querySelector('input').focus();
+});
+
+ignoreSelectorsInput.addEventListener('change', saveSelectors);
+contentSelectorsInput.addEventListener('change', saveSelectors);
+
+backendMode.addEventListener('change', () => {
+  updateBackendUIState(backendMode.value);
+  saveBackend();
+});
+backendUrl.addEventListener('change', saveBackend);
+backendAuth.addEventListener('change', saveBackend);
+backendTimeout.addEventListener('change', saveBackend);
+shareFeedbackToggle.addEventListener('change', saveBackend);
+testConnectionBtn.addEventListener('click', testConnection);
+
+exportBtn.addEventListener('click', exportConfiguration);
+importBtn.addEventListener('click', () => importFile.click());
+importFile.addEventListener('change', () => {
+  if (importFile.files[0]) {
+    importConfiguration(importFile.files[0]);
+  }
+  // Let the same file be picked again after fixing it
+  importFile.value = '';
+});
+
+// Fill every section from storage
+function loadOptions() {
+  chrome.storage.local.get(['settings', 'siteRules', 'backend', 'customLexicon'], (data) => {
+    const settings = { ...DEFAULT_SETTINGS, ...data.settings };
+    const actions = { ...DEFAULT_SETTINGS.categoryActions, ...settings.categoryActions };
+    categoryActionSelects.forEach(select => {
+      select.value = actions[select.dataset.category];
+    });
+
+    ignoreSelectorsInput.value = settings.ignoreSelectors.join('\n');
+    contentSelectorsInput.value = settings.contentSelectors.join('\n');
+    ignoreSelectorsInput.classList.remove('invalid');
+    contentSelectorsInput.classList.remove('invalid');
+
+    renderCustomTerms(data.customLexicon || []);
+    renderSiteRules(data.siteRules || {});
+
+    const backend = { ...DEFAULT_BACKEND, ...data.backend };
+    backendMode.value = backend.mode;
+    backendUrl.value = backend.url;
+    backendAuth.value = backend.authHeader;
+    backendTimeout.value = backend.timeout;
+    shareFeedbackToggle.checked = Boolean(backend.shareFeedback);
+    updateBackendUIState(backend.mode);
+  });
+}
+
+// Merge changes into the stored settings and notify content scripts
+function updateSettings(changes) {
+  chrome.storage.local.get('settings', (data) => {
+    const settings = { ...DEFAULT_SETTINGS, ...data.settings, ...changes };
+
+    chrome.storage.local.set({ settings }, () => {
+      console.log('Settings saved:', settings);
+      notifyTabs({ type: 'SETTINGS_UPDATED', settings });
+    });
+  });
+}
+
+// Send a message to the content scripts in every tab
+function notifyTabs(message) {
+  chrome.tabs.query({}, (tabs) => {
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, message).catch(err => {
+        // Suppress errors from tabs that don't have content scripts
+        console.log('Could not update tab:', tab.id);
+      });
+    });
+  });
+}
+
+// Read the chosen action for each category
+function getCategoryActions() {
+  const actions = {};
+  categoryActionSelects.forEach(select => {
+    actions[select.dataset.category] = select.value;
+  });
+  return actions;
+}
+
+// Build a select with the given values and labels
+function createSelect(values, labels, selected) {
+  const select = document.createElement('select');
+  values.forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = labels[value] || capitalize(value);
+    select.appendChild(option);
+  });
+  select.value = selected;
+  return select;
+}
+
+// Build a remove button that deletes its row and saves the table
+function createRemoveButton(onRemove) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'remove-button';
+  button.title = 'Remove';
+  button.textContent = '×';
+  button.addEventListener('click', () => {
+    button.closest('tr').remove();
+    onRemove();
+  });
+  return button;
+}
+
+// Wrap a control in a table cell, with the select arrow where needed
+function createCell(control) {
+  const cell = document.createElement('td');
+  if (control.tagName === 'SELECT') {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'select-wrapper';
+    wrapper.appendChild(control);
+    cell.appendChild(wrapper);
+  } else {
+    cell.appendChild(control);
+  }
+  return cell;
+}
+
+// Show a row saying a table is empty
+function addEmptyRow(tbody, columns, text) {
+  const row = document.createElement('tr');
+  row.className = 'options-table-empty-row';
+  const cell = document.createElement('td');
+  cell.className = 'options-table-empty';
+  cell.colSpan = columns;
+  cell.textContent = text;
+  row.appendChild(cell);
+  tbody.appendChild(row);
+}
+
+// Create a text input for a table cell
+function createTextInput(value, placeholder) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'text-input';
+  input.value = value;
+  input.placeholder = placeholder;
+  return input;
+}
+
+// List the custom terms, one editable row each
+function renderCustomTerms(entries) {
+  customTermsBody.textContent = '';
+  entries.forEach(entry => customTermsBody.appendChild(createTermRow(entry)));
+  if (entries.length === 0) {
+    addEmptyRow(customTermsBody, 5, 'No custom terms yet');
+  }
+}
+
+// Create an editable row for one custom term
+function createTermRow(entry) {
+  customTermsBody.querySelectorAll('.options-table-empty-row').forEach(row => row.remove());
+
+  const row = document.createElement('tr');
+  row.className = 'term-row';
+
+  const term = createTextInput(entry.term, 'Word or phrase');
+  term.dataset.field = 'term';
+  const category = createSelect(CATEGORIES, {}, entry.category);
+  category.dataset.field = 'category';
+  const replacement = createTextInput(entry.replacement || '', 'Optional');
+  replacement.dataset.field = 'replacement';
+  const lang = createSelect(LEXICON_LANGUAGES, LANGUAGE_LABELS, entry.lang || 'en');
+  lang.dataset.field = 'lang';
+
+  [term, category, replacement, lang].forEach(control => {
+    control.addEventListener('change', saveCustomTerms);
+    row.appendChild(createCell(control));
+  });
+
+  const removeCell = document.createElement('td');
+  removeCell.appendChild(createRemoveButton(saveCustomTerms));
+  row.appendChild(removeCell);
+  return row;
+}
+
+// Save the custom terms table, unless a term is repeated
+// Rows without a term yet are left out
+function saveCustomTerms() {
+  const entries = [];
+  const seen = new Set();
+  let valid = true;
+
+  customTermsBody.querySelectorAll('.term-row').forEach(row => {
+    const field = name => row.querySelector(`[data-field="${name}"]`);
+    const termInput = field('term');
+    const term = termInput.value.trim().toLowerCase();
+    const lang = field('lang').value;
+
+    const duplicate = term && seen.has(`${lang}:${term}`);
+    termInput.classList.toggle('invalid', Boolean(duplicate));
+    if (duplicate) {
+      valid = false;
+    }
+    if (!term || duplicate) {
+      return;
+    }
+
+    seen.add(`${lang}:${term}`);
+    entries.push({
+      term,
+      category: field('category').value,
+      replacement: field('replacement').value.trim(),
+      lang
+    });
+  });
+
+  if (!valid) {
+    showStatus(customTermsStatus, 'Each term can only be listed once per language', false);
+    return;
+  }
+  if (entries.length > MAX_CUSTOM_TERMS) {
+    showStatus(customTermsStatus, `Not saved. Custom terms are limited to ${MAX_CUSTOM_TERMS}; remove ${entries.length - MAX_CUSTOM_TERMS}`, false);
+    return;
+  }
+
+  chrome.storage.local.set({ customLexicon: entries }, () => {
+    showStatus(customTermsStatus, `Saved ${entries.length} custom ${entries.length === 1 ? 'term' : 'terms'}`, true);
+    notifyTabs({ type: 'CUSTOM_LEXICON_UPDATED' });
+  });
+}
+
+// Add the terms from a CSV file in the replacements_large.csv format to the custom terms
+// A term already in the list with the same language takes the file's category and replacement
+function importCustomTermsCsv(file) {
+  file.text().then(text => {
+    const rows = AIGuardianLexicon.parseLexiconCsv(text);
+    const entries = rows.filter(entry => CATEGORIES.includes(entry.category) && LEXICON_LANGUAGES.includes(entry.lang));
+    const skipped = rows.length - entries.length;
+
+    if (entries.length === 0) {
+      showStatus(customTermsStatus, 'No terms found. The file needs a header row with term and category columns', false);
+      return;
+    }
+
+    chrome.storage.local.get('customLexicon', (data) => {
+      const merged = new Map((data.customLexicon || []).map(entry => [`${entry.lang}:${entry.term}`, entry]));
+      entries.forEach(entry => merged.set(`${entry.lang}:${entry.term}`, entry));
+      const customLexicon = Array.from(merged.values());
+      if (customLexicon.length > MAX_CUSTOM_TERMS) {
+        showStatus(customTermsStatus, `Nothing was imported. Custom terms are limited to ${MAX_CUSTOM_TERMS}, and this file would make ${customLexicon.length}`, false);
+        return;
+      }
+
+      chrome.storage.local.set({ customLexicon }, () => {
+        renderCustomTerms(customLexicon);
+        notifyTabs({ type: 'CUSTOM_LEXICON_UPDATED' });
+
+        const message = `Imported ${entries.length} ${entries.length === 1 ? 'term' : 'terms'}`;
+        showStatus(customTermsStatus, skipped > 0
+          ? `${message}, skipped ${skipped} with an unknown category or language`
+          : message, true);
+      });
+    });
+  }).catch(error => {
+    console.error('Error reading custom terms file:', error);
+    showStatus(customTermsStatus, "Couldn't read the file", false);
+  });
+}
+
+// List the site rules, one editable row each
+function renderSiteRules(siteRules) {
+  siteRulesBody.textContent = '';
+  const domains = Object.keys(siteRules).sort();
+  domains.forEach(domain => siteRulesBody.appendChild(createSiteRuleRow(domain, siteRules[domain])));
+  if (domains.length === 0) {
+    addEmptyRow(siteRulesBody, 4, 'No site rules yet');
+  }
+}
+
+// Create an editable row for one site rule
+function createSiteRuleRow(domain, rule) {
+  siteRulesBody.querySelectorAll('.options-table-empty-row').forEach(row => row.remove());
+
+  const row = document.createElement('tr');
+  row.className = 'site-rule-row';
+
+  const domainInput = createTextInput(domain, 'example.com');
+  domainInput.dataset.field = 'domain';
+  const mode = createSelect([''].concat(SITE_MODES), SITE_MODE_LABELS, rule.mode || '');
+  mode.dataset.field = 'mode';
+  const sensitivity = createSelect([''].concat(SENSITIVITY_LEVELS), SENSITIVITY_LABELS, rule.sensitivityLevel || '');
+  sensitivity.dataset.field = 'sensitivityLevel';
+
+  [domainInput, mode, sensitivity].forEach(control => {
+    control.addEventListener('change', saveSiteRules);
+    row.appendChild(createCell(control));
+  });
+
+  const removeCell = document.createElement('td');
+  removeCell.appendChild(createRemoveButton(saveSiteRules));
+  row.appendChild(removeCell);
+  return row;
+}
+
+// Save the site rules table, unless a domain is invalid or repeated
+// Rows without a domain yet, or that don't change anything, are left out
+function saveSiteRules() {
+  const siteRules = {};
+  let valid = true;
+
+  siteRulesBody.querySelectorAll('.site-rule-row').forEach(row => {
+    const field = name => row.querySelector(`[data-field="${name}"]`);
+    const domainInput = field('domain');
+    const domain = domainInput.value.trim().toLowerCase();
+
+    const invalid = domain && (!isValidDomain(domain) || domain in siteRules);
+    domainInput.classList.toggle('invalid', Boolean(invalid));
+    if (invalid) {
+      valid = false;
+    }
+    if (!domain || invalid) {
+      return;
+    }
+
+    const rule = {};
+    if (field('mode').value) {
+      rule.mode = field('mode').value;
+    }
+    if (field('sensitivityLevel').value) {
+      rule.sensitivityLevel = field('sensitivityLevel').value;
+    }
+    if (Object.keys(rule).length > 0) {
+      siteRules[domain] = rule;
+    }
+  });
+
+  if (!valid) {
+    showStatus(siteRulesStatus, 'Check the highlighted domains', false);
+    return;
+  }
+
+  chrome.storage.local.set({ siteRules }, () => {
+    console.log('Site rules saved:', siteRules);
+    showStatus(siteRulesStatus, 'Saved', true);
+
+    // Let content scripts re-read the rule for their site
+    notifyTabs({ type: 'SITE_RULE_UPDATED' });
+  });
+}
+
+// Split a selector list into lines, dropping blank ones
+function readSelectorList(textarea) {
+  return textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// Save the ignore and content selectors, unless one is invalid
+function saveSelectors() {
+  const ignoreSelectors = readSelectorList(ignoreSelectorsInput);
+  const contentSelectors = readSelectorList(contentSelectorsInput);
+  const invalid = ignoreSelectors.concat(contentSelectors).filter(selector => !isValidSelector(selector));
+
+  ignoreSelectorsInput.classList.toggle('invalid', ignoreSelectors.some(selector => invalid.includes(selector)));
+  contentSelectorsInput.classList.toggle('invalid', contentSelectors.some(selector => invalid.includes(selector)));
+
+  if (invalid.length > 0) {
+    showStatus(selectorsStatus, `Not a valid CSS selector: ${invalid[0]}`, false);
+    return;
+  }
+
+  updateSettings({ ignoreSelectors, contentSelectors });
+  showStatus(selectorsStatus, 'Saved', true);
+}
+
+// Check that a string is a CSS selector the browser accepts
+function isValidSelector(selector) {
+  if (!selector.trim()) {
+    return false;
+  }
+
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check that a string is a lower-case hostname like example.com
+function isValidDomain(domain) {
+  return /^(?=.{1,253}$)[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(domain);
+}
+
+// Check that a string is an http(s) URL
+function isValidServerUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Server fields don't apply in local-only mode
+function updateBackendUIState(mode) {
+  const localOnly = mode === 'local-only';
+  backendUrl.disabled = localOnly;
+  backendAuth.disabled = localOnly;
+  backendTimeout.disabled = localOnly;
+  shareFeedbackToggle.disabled = localOnly;
+}
+
+// Read the backend form, returning null if any field is invalid
+function readBackendForm() {
+  const url = backendUrl.value.trim().replace(/\/+$/, '');
+  const valid = isValidServerUrl(url);
+  backendUrl.classList.toggle('invalid', !valid);
+
+  const timeout = parseInt(backendTimeout.value, 10);
+  const timeoutValid = timeout >= 500 && timeout <= 60000;
+  backendTimeout.classList.toggle('invalid', !timeoutValid);
+
+  if (!valid || !timeoutValid) {
+    return null;
+  }
+
+  return {
+    url,
+    authHeader: backendAuth.value.trim(),
+    timeout,
+    mode: backendMode.value,
+    shareFeedback: shareFeedbackToggle.checked
+  };
+}
+
+// Save the backend configuration to storage
+function saveBackend() {
+  const backend = readBackendForm();
+  if (!backend) {
+    return;
+  }
+
+  chrome.storage.local.set({ backend }, () => {
+    console.log('Backend saved:', { ...backend, authHeader: backend.authHeader ? '(set)' : '' });
+  });
+}
+
+// Run a health check against the backend as currently entered in the form
+function testConnection() {
+  const backend = readBackendForm();
+  if (!backend) {
+    showStatus(connectionStatus, 'Check the highlighted fields', false);
+    return;
+  }
+
+  showStatus(connectionStatus, 'Testing...', null);
+  testConnectionBtn.disabled = true;
+
+  chrome.runtime.sendMessage({ type: 'TEST_BACKEND', backend }, (response) => {
+    testConnectionBtn.disabled = false;
+    if (response) {
+      showStatus(connectionStatus, response.message, response.success);
+    } else {
+      showStatus(connectionStatus, 'No response from extension', false);
+    }
+  });
+}
+
+// Show a status message next to a control (success is null while pending)
+function showStatus(element, message, success) {
+  element.textContent = message;
+  element.classList.toggle('success', success === true);
+  element.classList.toggle('error', success === false);
+}
+
+// Keep only the keys a default object has, so exports never carry stale settings
+function pickKnownKeys(values, defaults) {
+  const picked = {};
+  Object.keys(defaults).forEach(key => {
+    if (values[key] !== undefined) {
+      picked[key] = values[key];
+    }
+  });
+  return picked;
+}
+
+// Download the whole configuration as a JSON file
+function exportConfiguration() {
+  chrome.storage.local.get(['settings', 'siteRules', 'backend', 'customLexicon'], (data) => {
+    // The authorization header is a secret, so it stays out of files that get shared
+    const { authHeader, ...backend } = pickKnownKeys({ ...DEFAULT_BACKEND, ...data.backend }, DEFAULT_BACKEND);
+
+    const settings = pickKnownKeys({ ...DEFAULT_SETTINGS, ...data.settings }, DEFAULT_SETTINGS);
+    settings.categoryActions = { ...DEFAULT_SETTINGS.categoryActions, ...settings.categoryActions };
+
+    const config = {
+      format: CONFIG_FORMAT,
+      version: CONFIG_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings,
+      siteRules: data.siteRules || {},
+      backend,
+      customLexicon: data.customLexicon || []
+    };
+
+    const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `ai-content-guardian-${config.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    showStatus(importStatus, 'Configuration exported', true);
+    importErrors.textContent = '';
+  });
+}
+
+// Read, validate and apply a configuration file
+function importConfiguration(file) {
+  importErrors.textContent = '';
+
+  file.text().then(text => {
+    let config;
+    try {
+      config = JSON.parse(text);
+    } catch (error) {
+      showStatus(importStatus, 'This file is not valid JSON', false);
+      return;
+    }
+
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+      showStatus(importStatus, `Nothing was imported. Fix ${errors.length === 1 ? 'this problem' : 'these problems'} and try again:`, false);
+      errors.slice(0, 20).forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        importErrors.appendChild(item);
+      });
+      return;
+    }
+
+    applyConfiguration(config);
+  }).catch(error => {
+    console.error('Error reading settings file:', error);
+    showStatus(importStatus, "Couldn't read the file", false);
+  });
+}
+
+/**
+ * Checks an imported configuration against CONFIG_SCHEMA
+ * @param {*} config - The parsed JSON
+ * @return {Array} - Error messages, empty if the configuration is valid
+ */
+function validateConfig(config) {
+  const errors = [];
+  if (!SCHEMA_TYPES.object.test(config)) {
+    return ['The file must contain a JSON object'];
+  }
+  if (config.format !== CONFIG_FORMAT) {
+    return ['This is not an AI Content Guardian configuration file'];
+  }
+
+  validateValue(config, CONFIG_SCHEMA, '', errors);
+
+  // Like the table, each term may only be listed once per language
+  if (errors.length === 0 && config.customLexicon) {
+    const seen = new Set();
+    config.customLexicon.forEach((entry, index) => {
+      const key = `${entry.lang || 'en'}:${entry.term.trim().toLowerCase()}`;
+      if (seen.has(key)) {
+        errors.push(`customLexicon[${index}].term repeats "${entry.term}"`);
+      }
+      seen.add(key);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Checks a value against a schema node, recording a message for each problem
+ * @param {*} value - The value to check
+ * @param {Object} schema - Schema node: { type, enum?, min?, max?, check?, message?,
+ *   items? (arrays), properties?/required? (objects with known keys), keys?/values? (maps) }
+ * @param {string} path - Where the value sits in the file, for messages
+ * @param {Array} errors - Messages are added here
+ */
+function validateValue(value, schema, path, errors) {
+  const type = SCHEMA_TYPES[schema.type];
+  if (!type.test(value)) {
+    errors.push(`${path} must be ${type.name}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  } else if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+    errors.push(`${path} must be between ${schema.min} and ${schema.max}`);
+  } else if (schema.check && !schema.check(value)) {
+    errors.push(`${path} ${schema.message}`);
+  }
+
+  if (schema.type === 'array') {
+    value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${path ? `${path}.` : ''}${key} is required`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, item]) => {
+      if (schema.properties) {
+        const itemPath = path ? `${path}.${key}` : key;
+        if (schema.properties[key]) {
+          validateValue(item, schema.properties[key], itemPath, errors);
+        } else {
+          errors.push(`${itemPath} is not a known setting`);
+        }
+      } else {
+        if (schema.keys && !schema.keys.check(key)) {
+          errors.push(`${path}: "${key}" ${schema.keys.message}`);
+        }
+        validateValue(item, schema.values, `${path}["${key}"]`, errors);
+      }
+    });
+  }
+}
+
+// Store a validated configuration; sections in the file replace the stored ones
+function applyConfiguration(config) {
+  chrome.storage.local.get('backend', (data) => {
+    const items = {};
+
+    if (config.settings) {
+      items.settings = {
+        ...DEFAULT_SETTINGS,
+        ...config.settings,
+        categoryActions: { ...DEFAULT_SETTINGS.categoryActions, ...config.settings.categoryActions }
+      };
+    }
+    if (config.siteRules) {
+      items.siteRules = config.siteRules;
+    }
+    if (config.backend) {
+      // Exports leave out the authorization header, so keep the current one unless the file has one
+      const current = { ...DEFAULT_BACKEND, ...data.backend };
+      items.backend = { ...DEFAULT_BACKEND, authHeader: current.authHeader, ...config.backend };
+      items.backend.url = items.backend.url.replace(/\/+$/, '');
+    }
+    if (config.customLexicon) {
+      items.customLexicon = config.customLexicon.map(entry => ({
+        term: entry.term.trim().toLowerCase(),
+        category: entry.category,
+        replacement: entry.replacement || '',
+        lang: entry.lang || 'en'
+      }));
+    }
+
+    chrome.storage.local.set(items, () => {
+      if (items.settings) {
+        notifyTabs({ type: 'SETTINGS_UPDATED', settings: items.settings });
+      }
+      if (items.siteRules) {
+        notifyTabs({ type: 'SITE_RULE_UPDATED' });
+      }
+      if (items.customLexicon) {
+        notifyTabs({ type: 'CUSTOM_LEXICON_UPDATED' });
+      }
+
+      const sections = Object.keys(items).length;
+      showStatus(importStatus, `Imported ${sections} ${sections === 1 ? 'section' : 'sections'}`, true);
+      loadOptions();
+    });
+  });
+}
+
+// Capitalize the first letter of a word
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
@@ -6,19 +6,70 @@ const mainToggle = document.getElementById('mainToggle');
 const autoRephraseToggle = document.getElementById('autoRephraseToggle');
 const showWarningsToggle = document.getElementById('showWarningsToggle');
 const sensitivityLevel = document.getElementById('sensitivityLevel');
+const confirmRevealToggle = document.getElementById('confirmRevealToggle');
+const composeGuardToggle = document.getElementById('composeGuardToggle');
+const blurPendingToggle = document.getElementById('blurPendingToggle');
+const categoryActionSelects = document.querySelectorAll('.actions-container select');
+const showOriginalsBtn = document.getElementById('showOriginalsBtn');
 const resetBtn = document.getElementById('resetBtn');
+const optionsBtn = document.getElementById('optionsBtn');
+
+// Site rule elements
+const siteContainer = document.getElementById('siteContainer');
+const siteHostname = document.getElementById('siteHostname');
+const siteDisableToggle = document.getElementById('siteDisableToggle');
+const siteSensitivity = document.getElementById('siteSensitivity');
+
+// Domain whose rule the site controls edit (the active tab's own host, never a parent domain's rule)
+let siteRuleDomain = null;
+
+// Backend elements
+const backendMode = document.getElementById('backendMode');
+const backendUrl = document.getElementById('backendUrl');
+const backendAuth = document.getElementById('backendAuth');
+const backendTimeout = document.getElementById('backendTimeout');
+const shareFeedbackToggle = document.getElementById('shareFeedbackToggle');
+const testConnectionBtn = document.getElementById('testConnectionBtn');
+const connectionStatus = document.getElementById('connectionStatus');
+const cacheInfo = document.getElementById('cacheInfo');
+const clearCacheBtn = document.getElementById('clearCacheBtn');
 
 // Statistics elements
 const contentAnalyzedCount = document.getElementById('contentAnalyzedCount');
 const harmfulContentCount = document.getElementById('harmfulContentCount');
 const rephrasedContentCount = document.getElementById('rephrasedContentCount');
 
+// Statistics history elements
+const historyChart = document.getElementById('historyChart');
+const categoryBreakdown = document.getElementById('categoryBreakdown');
+const sourceBreakdown = document.getElementById('sourceBreakdown');
+const topSitesList = document.getElementById('topSitesList');
+
 // Default settings
 const DEFAULT_SETTINGS = {
   enabled: true,
   autoRephrase: true,
   showWarnings: true,
-  sensitivityLevel: 'medium'
+  sensitivityLevel: 'medium',
+  confirmRevealHarmful: false,
+  composeGuard: false,
+  blurUntilAnalyzed: false,
+  categoryActions: {
+    offensive: 'rephrase',
+    inappropriate: 'rephrase',
+    harmful: 'rephrase'
+  },
+  ignoreSelectors: [],
+  contentSelectors: []
+};
+
+// Default backend configuration
+const DEFAULT_BACKEND = {
+  url: 'http://localhost:5000',
+  authHeader: '',
+  timeout: 5000,
+  mode: 'remote-preferred',
+  shareFeedback: false
 };
 
 // Default stats
@@ -53,17 +104,76 @@ function loadSettingsAndStats() {
     autoRephraseToggle.checked = settings.autoRephrase;
     showWarningsToggle.checked = settings.showWarnings;
     sensitivityLevel.value = settings.sensitivityLevel;
+    confirmRevealToggle.checked = Boolean(settings.confirmRevealHarmful);
+    composeGuardToggle.checked = Boolean(settings.composeGuard);
+    blurPendingToggle.checked = Boolean(settings.blurUntilAnalyzed);
+    const actions = { ...DEFAULT_SETTINGS.categoryActions, ...settings.categoryActions };
+    categoryActionSelects.forEach(select => {
+      select.value = actions[select.dataset.category];
+    });
     
     // Update UI state based on main toggle
     updateUIState(settings.enabled);
   });
   
+  // Load backend configuration
+  chrome.storage.local.get('backend', (data) => {
+    const backend = { ...DEFAULT_BACKEND, ...data.backend };
+    
+    backendMode.value = backend.mode;
+    backendUrl.value = backend.url;
+    backendAuth.value = backend.authHeader;
+    backendTimeout.value = backend.timeout;
+    shareFeedbackToggle.checked = Boolean(backend.shareFeedback);
+    
+    updateBackendUIState(backend.mode);
+  });
+  
+  // Load the rule for the active tab's site
+  loadSiteRule();
+  
   // Refresh stats
   refreshStats();
+  loadCacheInfo();
+}
+
+// Function to load the site rule for the active tab
+function loadSiteRule() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    let hostname = null;
+    try {
+      const url = new URL(tabs[0].url);
+      if (url.protocol === 'http:' || url.protocol === 'https:') {
+        hostname = url.hostname;
+      }
+    } catch (error) {
+      // No tab or no URL access; handled below
+    }
+    
+    if (!hostname) {
+      siteHostname.textContent = 'Not available on this page';
+      siteContainer.classList.add('disabled');
+      return;
+    }
+    
+    chrome.runtime.sendMessage({ type: 'GET_SITE_RULE', hostname }, (response) => {
+      const rule = response && response.siteRule;
+      
+      // Show the rule in effect, which may be for a parent domain, but save changes for this host only
+      siteRuleDomain = hostname.toLowerCase();
+      siteHostname.textContent = rule && rule.domain !== siteRuleDomain
+        ? `${siteRuleDomain} (using the rule for ${rule.domain})`
+        : siteRuleDomain;
+      siteDisableToggle.checked = Boolean(rule && rule.mode === 'skip');
+      siteSensitivity.value = (rule && rule.sensitivityLevel) || '';
+    });
+  });
 }
 
 // Function to refresh statistics from storage
 function refreshStats() {
+  refreshStatsHistory();
+  
   // Request latest stats from background script
   chrome.runtime.sendMessage({ type: 'GET_STATS' }, (response) => {
     if (response && response.stats) {
@@ -94,8 +204,28 @@ mainToggle.addEventListener('change', () => {
 autoRephraseToggle.addEventListener('change', saveSettings);
 showWarningsToggle.addEventListener('change', saveSettings);
 sensitivityLevel.addEventListener('change', saveSettings);
+confirmRevealToggle.addEventListener('change', saveSettings);
+composeGuardToggle.addEventListener('change', saveSettings);
+blurPendingToggle.addEventListener('change', saveSettings);
+categoryActionSelects.forEach(select => select.addEventListener('change', saveSettings));
+showOriginalsBtn.addEventListener('click', toggleOriginalsOnPage);
 
 resetBtn.addEventListener('click', resetStatistics);
+optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+siteDisableToggle.addEventListener('change', saveSiteRule);
+siteSensitivity.addEventListener('change', saveSiteRule);
+
+backendMode.addEventListener('change', () => {
+  updateBackendUIState(backendMode.value);
+  saveBackend();
+});
+backendUrl.addEventListener('change', saveBackend);
+backendAuth.addEventListener('change', saveBackend);
+backendTimeout.addEventListener('change', saveBackend);
+shareFeedbackToggle.addEventListener('change', saveBackend);
+testConnectionBtn.addEventListener('click', testConnection);
+clearCacheBtn.addEventListener('click', clearAnalysisCache);
 
 // Update UI state based on main toggle
 function updateUIState(enabled) {
@@ -108,43 +238,356 @@ function updateUIState(enabled) {
     autoRephraseToggle.disabled = false;
     showWarningsToggle.disabled = false;
     sensitivityLevel.disabled = false;
+    confirmRevealToggle.disabled = false;
+    composeGuardToggle.disabled = false;
+    blurPendingToggle.disabled = false;
+    categoryActionSelects.forEach(select => { select.disabled = false; });
   } else {
     settingsContainer.classList.add('disabled');
     statsContainer.classList.add('disabled');
     autoRephraseToggle.disabled = true;
     showWarningsToggle.disabled = true;
     sensitivityLevel.disabled = true;
+    confirmRevealToggle.disabled = true;
+    composeGuardToggle.disabled = true;
+    blurPendingToggle.disabled = true;
+    categoryActionSelects.forEach(select => { select.disabled = true; });
   }
 }
 
+// Read the chosen action for each category from the popup
+function getCategoryActions() {
+  const actions = {};
+  categoryActionSelects.forEach(select => {
+    actions[select.dataset.category] = select.value;
+  });
+  return actions;
+}
+
 // Save settings to storage and notify content scripts
 function saveSettings() {
-  const settings = {
-    enabled: mainToggle.checked,
-    autoRephrase: autoRephraseToggle.checked,
-    showWarnings: showWarningsToggle.checked,
-    sensitivityLevel: sensitivityLevel.value
-  };
+  // Settings only edited on the options page are kept as they are
+  chrome.storage.local.get('settings', (data) => {
+    const settings = {
+      ...DEFAULT_SETTINGS,
+      ...data.settings,
+      enabled: mainToggle.checked,
+      autoRephrase: autoRephraseToggle.checked,
+      showWarnings: showWarningsToggle.checked,
+      sensitivityLevel: sensitivityLevel.value,
+      confirmRevealHarmful: confirmRevealToggle.checked,
+      composeGuard: composeGuardToggle.checked,
+      blurUntilAnalyzed: blurPendingToggle.checked,
+      categoryActions: getCategoryActions()
+    };
+    
+    // Save to storage
+    chrome.storage.local.set({ settings }, () => {
+      console.log('Settings saved:', settings);
+      notifyTabsOfSettings(settings);
+    });
+  });
+}
+
+// Notify all tabs about the settings change
+function notifyTabsOfSettings(settings) {
+  chrome.tabs.query({}, (tabs) => {
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, {
+        type: 'SETTINGS_UPDATED',
+        settings
+      }).catch(err => {
+        // Suppress errors from tabs that don't have content scripts
+        console.log('Could not update tab:', tab.id);
+      });
+    });
+  });
+}
+
+// Find the rule for the closest parent domain of a host, like findSiteRule in the background script
+function findParentSiteRule(siteRules, hostname) {
+  const labels = hostname.split('.');
+  for (let i = 1; i < labels.length; i++) {
+    const domain = labels.slice(i).join('.');
+    if (siteRules[domain]) {
+      return siteRules[domain];
+    }
+  }
+  return null;
+}
+
+// Copy a rule with its keys in a fixed order, so two rules can be compared as JSON
+function sortRuleKeys(rule) {
+  return Object.fromEntries(Object.entries(rule).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// Save the rule for the active tab's site and notify content scripts
+function saveSiteRule() {
+  if (!siteRuleDomain) {
+    return;
+  }
   
-  // Save to storage
-  chrome.storage.local.set({ settings }, () => {
-    console.log('Settings saved:', settings);
-    
-    // Notify all tabs about the settings change
-    chrome.tabs.query({}, (tabs) => {
-      tabs.forEach(tab => {
-        chrome.tabs.sendMessage(tab.id, {
-          type: 'SETTINGS_UPDATED',
-          settings
-        }).catch(err => {
-          // Suppress errors from tabs that don't have content scripts
-          console.log('Could not update tab:', tab.id);
+  chrome.storage.local.get('siteRules', (data) => {
+    const siteRules = data.siteRules || {};
+    
+    // A new rule for this host starts from its parent domain's rule, since the most specific rule wins
+    const parentRule = findParentSiteRule(siteRules, siteRuleDomain);
+    const rule = { ...(siteRules[siteRuleDomain] || parentRule) };
+    
+    if (siteDisableToggle.checked) {
+      rule.mode = 'skip';
+    } else if (parentRule && parentRule.mode === 'skip') {
+      // Only an explicit mode keeps the parent domain's skip from applying here
+      rule.mode = 'scan';
+    } else if (rule.mode === 'skip') {
+      delete rule.mode;
+    }
+    
+    if (siteSensitivity.value) {
+      rule.sensitivityLevel = siteSensitivity.value;
+    } else {
+      delete rule.sensitivityLevel;
+    }
+    
+    // Drop the host's rule when it changes nothing its parent domain's rule (or no rule) doesn't already;
+    // an empty rule is kept while it overrides a parent's rule
+    if (JSON.stringify(sortRuleKeys(rule)) === JSON.stringify(sortRuleKeys(parentRule || {}))) {
+      delete siteRules[siteRuleDomain];
+    } else {
+      siteRules[siteRuleDomain] = rule;
+    }
+    
+    chrome.storage.local.set({ siteRules }, () => {
+      console.log('Site rules saved:', siteRules);
+      
+      // Let content scripts re-read the rule for their site
+      chrome.tabs.query({}, (tabs) => {
+        tabs.forEach(tab => {
+          chrome.tabs.sendMessage(tab.id, { type: 'SITE_RULE_UPDATED' }).catch(err => {
+            // Suppress errors from tabs that don't have content scripts
+            console.log('Could not update tab:', tab.id);
+          });
         });
       });
     });
   });
 }
 
+// Toggle original text for all rephrased content in the active tab
+function toggleOriginalsOnPage() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (!tabs[0]) {
+      return;
+    }
+    
+    // The background script toggles every frame of the tab together and replies for all of them
+    chrome.runtime.sendMessage({ type: 'TOGGLE_ORIGINALS', tabId: tabs[0].id }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        showOriginalsBtn.textContent = 'Not available on this page';
+      } else if (response.count === 0) {
+        showOriginalsBtn.textContent = 'Nothing rephrased here';
+      } else {
+        showOriginalsBtn.textContent = response.showingOriginals ? 'Show Rephrased Text' : 'Show Original Text';
+        return;
+      }
+      setTimeout(() => {
+        showOriginalsBtn.textContent = 'Show Original Text';
+      }, 2000);
+    });
+  });
+}
+
+// Server fields don't apply in local-only mode
+function updateBackendUIState(mode) {
+  const localOnly = mode === 'local-only';
+  backendUrl.disabled = localOnly;
+  backendAuth.disabled = localOnly;
+  backendTimeout.disabled = localOnly;
+  shareFeedbackToggle.disabled = localOnly;
+}
+
+// Read the backend form, returning null if any field is invalid
+function readBackendForm() {
+  let valid = true;
+  
+  // The URL must be an http(s) address
+  let url = backendUrl.value.trim();
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      valid = false;
+    }
+    url = url.replace(/\/+$/, '');
+  } catch (error) {
+    valid = false;
+  }
+  backendUrl.classList.toggle('invalid', !valid);
+  
+  const timeout = parseInt(backendTimeout.value, 10);
+  const timeoutValid = timeout >= 500 && timeout <= 60000;
+  backendTimeout.classList.toggle('invalid', !timeoutValid);
+  
+  if (!valid || !timeoutValid) {
+    return null;
+  }
+  
+  return {
+    url,
+    authHeader: backendAuth.value.trim(),
+    timeout,
+    mode: backendMode.value,
+    shareFeedback: shareFeedbackToggle.checked
+  };
+}
+
+// Save the backend configuration to storage
+function saveBackend() {
+  const backend = readBackendForm();
+  if (!backend) {
+    return;
+  }
+  
+  chrome.storage.local.set({ backend }, () => {
+    console.log('Backend saved:', { ...backend, authHeader: backend.authHeader ? '(set)' : '' });
+  });
+}
+
+// Run a health check against the backend as currently entered in the form
+function testConnection() {
+  const backend = readBackendForm();
+  if (!backend) {
+    showConnectionStatus('Check the highlighted fields', false);
+    return;
+  }
+  
+  showConnectionStatus('Testing...', null);
+  testConnectionBtn.disabled = true;
+  
+  chrome.runtime.sendMessage({ type: 'TEST_BACKEND', backend }, (response) => {
+    testConnectionBtn.disabled = false;
+    if (response) {
+      showConnectionStatus(response.message, response.success);
+    } else {
+      showConnectionStatus('No response from extension', false);
+    }
+  });
+}
+
+// Show the connection test result (success is null while pending)
+function showConnectionStatus(message, success) {
+  connectionStatus.textContent = message;
+  connectionStatus.classList.toggle('success', success === true);
+  connectionStatus.classList.toggle('error', success === false);
+}
+
+// Refresh the daily trend, breakdowns and top sites
+function refreshStatsHistory() {
+  chrome.runtime.sendMessage({ type: 'GET_STATS_HISTORY', days: 7 }, (history) => {
+    if (!history || !history.days) {
+      return;
+    }
+    
+    renderHistoryChart(history.days);
+    
+    const categories = Object.entries(history.categories)
+      .map(([category, count]) => `${capitalize(category)}: ${count.toLocaleString()}`);
+    categoryBreakdown.textContent = categories.join(' · ');
+    
+    const server = history.sources.server || 0;
+    const local = history.sources.local || 0;
+    sourceBreakdown.textContent = `Server: ${server.toLocaleString()} · Local: ${local.toLocaleString()}`;
+    
+    renderTopSites(history.topSites);
+  });
+}
+
+// Draw one bar per day, scaled to the busiest day
+function renderHistoryChart(days) {
+  const maxAnalyzed = Math.max(1, ...days.map(day => day.analyzed));
+  historyChart.textContent = '';
+  
+  days.forEach(day => {
+    const column = document.createElement('div');
+    column.className = 'history-day';
+    column.title = `${day.date}: ${day.analyzed} analyzed, ${day.flagged} flagged, ${day.rephrased} rephrased`;
+    
+    const bar = document.createElement('div');
+    bar.className = 'history-bar';
+    bar.style.height = `${(day.analyzed / maxAnalyzed) * 100}%`;
+    
+    const flaggedBar = document.createElement('div');
+    flaggedBar.className = 'history-bar-flagged';
+    flaggedBar.style.height = day.analyzed ? `${(day.flagged / day.analyzed) * 100}%` : '0';
+    bar.appendChild(flaggedBar);
+    
+    const label = document.createElement('span');
+    label.className = 'history-label';
+    label.textContent = new Date(`${day.date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'narrow' });
+    
+    column.appendChild(bar);
+    column.appendChild(label);
+    historyChart.appendChild(column);
+  });
+}
+
+// List the sites with the most flagged content
+function renderTopSites(sites) {
+  topSitesList.textContent = '';
+  
+  if (sites.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'top-sites-empty';
+    empty.textContent = 'Nothing flagged yet';
+    topSitesList.appendChild(empty);
+    return;
+  }
+  
+  sites.forEach(site => {
+    const item = document.createElement('li');
+    
+    const name = document.createElement('span');
+    name.className = 'top-site-name';
+    name.textContent = site.hostname;
+    
+    const count = document.createElement('span');
+    count.className = 'stat-value';
+    count.textContent = site.flagged.toLocaleString();
+    count.title = `${site.flagged} of ${site.analyzed} analyzed`;
+    
+    item.appendChild(name);
+    item.appendChild(count);
+    topSitesList.appendChild(item);
+  });
+}
+
+// Capitalize the first letter of a word
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+// Show how many analysis results are cached
+function loadCacheInfo() {
+  chrome.runtime.sendMessage({ type: 'GET_CACHE_INFO' }, (response) => {
+    if (response) {
+      cacheInfo.textContent = `${response.size.toLocaleString()} results reused across pages`;
+    }
+  });
+}
+
+// Clear cached analysis results so content is analyzed again
+function clearAnalysisCache() {
+  chrome.runtime.sendMessage({ type: 'CLEAR_ANALYSIS_CACHE' }, (response) => {
+    if (response && response.success) {
+      loadCacheInfo();
+      
+      clearCacheBtn.textContent = 'Cleared!';
+      setTimeout(() => {
+        clearCacheBtn.textContent = 'Clear Cache';
+      }, 2000);
+    }
+  });
+}
+
 // Reset statistics
 function resetStatistics() {
   // Use the background script's reset function to ensure consistency
@@ -154,6 +597,7 @@ function resetStatistics() {
       contentAnalyzedCount.textContent = '0';
       harmfulContentCount.textContent = '0';
       rephrasedContentCount.textContent = '0';
+      refreshStatsHistory();
       
       // Show confirmation
       resetBtn.textContent = 'Reset Complete!';
@@ -1,10 +1,14 @@
 import os
 import json
+import hashlib
+import threading
 import nltk
 import pandas as pd
 import numpy as np
 import re
-from flask import Flask, request, jsonify
+import unicodedata
+from functools import lru_cache
+from flask import Flask, request, jsonify, send_from_directory
 from sklearn.feature_extraction.text import TfidfVectorizer
 from sklearn.linear_model import LogisticRegression
 from sklearn.pipeline import Pipeline
@@ -15,65 +19,440 @@ try:
 except LookupError:
     nltk.download('punkt')
 
-app = Flask(__name__, static_folder='.')
+# No catch-all static route: the app directory also holds feedback.jsonl, so only the files below are served
+app = Flask(__name__, static_folder=None)
 
-# Load replacements from CSV
+# Optional shared secret; when set, API requests must send "Authorization: Bearer <key>"
+# Prefixes, so /analyze/batch is covered by /analyze; /feedback retrains the model and needs it most
+API_KEY = os.environ.get('AI_GUARDIAN_API_KEY')
+API_ROUTES = ('/analyze', '/rephrase', '/feedback')
+
+# User feedback is appended here and folded into the training data
+# Only the newest MAX_FEEDBACK_EXAMPLES reports are kept, so the file and the training set stay bounded
+FEEDBACK_FILE = os.environ.get('AI_GUARDIAN_FEEDBACK_FILE', 'feedback.jsonl')
+FEEDBACK_LABELS = ('not_harmful', 'harmful')
+MAX_FEEDBACK_TEXT_LENGTH = 5000
+MAX_FEEDBACK_EXAMPLES = 10000
+
+# Version of the analysis result format; version 2 adds matched spans, version 3 the detected language
+ANALYSIS_VERSION = 3
+
+# Feedback retrains the model in the background, at most once per this many seconds
+RETRAIN_DELAY = 10
+
+# Letters, digits and combining marks; Python's \w misses the vowel signs Devanagari words are built from
+WORD_CHARS = r'\w\u0300-\u036f\u0900-\u0963\u0966-\u097f'
+WORD_START = rf'(?<![{WORD_CHARS}])'
+WORD_END = rf'(?![{WORD_CHARS}])'
+
+# Common function words used to tell apart languages written in the Latin script
+# Hindi is often typed in Latin letters, so it gets romanized function words
+LANGUAGE_STOPWORDS = {
+    'en': {'the', 'and', 'is', 'are', 'you', 'this', 'that', 'of', 'to', 'it', 'with', 'for', 'was', 'have', 'not', 'what'},
+    'es': {'el', 'la', 'los', 'las', 'que', 'de', 'y', 'es', 'un', 'una', 'por', 'con', 'para', 'no', 'eres', 'esto', 'muy', 'pero', 'del', 'qué'},
+    'hi': {'hai', 'hain', 'nahi', 'nahin', 'kya', 'aur', 'ka', 'ki', 'ke', 'ko', 'mein', 'tum', 'tu', 'yeh', 'woh', 'bhi', 'kyun', 'bahut'}
+}
+
+# Languages identified by their script rather than by their words
+LANGUAGE_SCRIPTS = {
+    'hi': re.compile(r'[\u0900-\u097f]')
+}
+
+# Sentences are grouped into chunks of at least this many characters, each with its own language
+LANGUAGE_CHUNK_LENGTH = 60
+
+# Characters dropped before matching: soft hyphens, zero-width spaces and joiners, direction marks and BOMs
+INVISIBLE_CHARS = re.compile(r'[\u00ad\u180e\u200b-\u200f\u202a-\u202e\u2060-\u2064\ufeff]')
+
+# Letters from other alphabets that look like Latin letters, folded to the letter they imitate
+CONFUSABLE_CHARS = {
+    'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'з': '3', 'і': 'i', 'ј': 'j', 'к': 'k', 'м': 'm', 'н': 'h',
+    'о': 'o', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w',
+    'А': 'a', 'В': 'b', 'Е': 'e', 'К': 'k', 'М': 'm', 'Н': 'h', 'О': 'o', 'Р': 'p', 'С': 'c', 'Т': 't',
+    'У': 'y', 'Х': 'x', 'І': 'i', 'Ј': 'j', 'Ѕ': 's',
+    'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u',
+    'χ': 'x', 'Α': 'a', 'Β': 'b', 'Ε': 'e', 'Ι': 'i', 'Κ': 'k', 'Μ': 'm', 'Ν': 'n', 'Ο': 'o', 'Ρ': 'p',
+    'Τ': 't', 'Υ': 'y', 'Χ': 'x', 'Ζ': 'z',
+    'μ': 'u', 'ƒ': 'f', 'ɡ': 'g', 'ı': 'i', 'ȷ': 'j', 'ℓ': 'l', '¢': 'c'
+}
+
+# Digits and symbols standing in for letters inside words; '!' and '|' only count between two letters
+LEET_CHARS = {
+    '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+    '@': 'a', '$': 's', '!': 'i', '|': 'l'
+}
+LEET_PUNCTUATION = ('!', '|')
+
+# Characters put between the letters of a spaced-out word like "f u c k" or "f.u.c.k"
+LETTER_SEPARATORS = re.compile(r'[\s.\-_·•,:;/\\~]')
+MIN_SPACED_LETTERS = 3
+
+# Load replacements from CSV; rows without a lang are English
 replacements_df = pd.read_csv('replacements_large.csv')
-harmful_terms = replacements_df[replacements_df['category'] == 'harmful']['term'].tolist()
-offensive_terms = replacements_df[replacements_df['category'] == 'offensive']['term'].tolist()
-inappropriate_terms = replacements_df[replacements_df['category'] == 'inappropriate']['term'].tolist()
+if 'lang' not in replacements_df.columns:
+    replacements_df['lang'] = 'en'
+replacements_df['lang'] = replacements_df['lang'].fillna('en').str.lower()
+
+# Sentences each lexicon term is placed in to train the classifier, per language
+TRAINING_TEMPLATES = {
+    'en': {
+        'harmful': ["How to make a {term}", "Instructions for creating {term}", "Steps to build a {term}"],
+        'offensive': ["This is {term} terrible", "I {term} hate this", "You {term} idiot"],
+        'inappropriate': ["Watch {term} videos", "Best {term} content", "Free {term} online"]
+    },
+    'es': {
+        'harmful': ["Cómo hacer una {term}", "Instrucciones para crear {term}", "Pasos para construir una {term}"],
+        'offensive': ["Esto es {term} horrible", "Eres un {term}", "Odio esta {term} cosa"],
+        'inappropriate': ["Ver videos de {term}", "El mejor contenido {term}", "{term} gratis en línea"]
+    },
+    'hi': {
+        'harmful': ["{term} कैसे बनाएं", "{term} बनाने के निर्देश", "{term} बनाने के चरण"],
+        'offensive': ["तुम {term} हो", "यह {term} बकवास है", "मुझे इस {term} से नफरत है"],
+        'inappropriate': ["{term} वीडियो देखें", "सबसे अच्छा {term} कंटेंट", "मुफ्त {term} ऑनलाइन"]
+    }
+}
 
 # Create training data
 training_data = []
 labels = []
 
-for category, terms in [('harmful', harmful_terms), ('offensive', offensive_terms), ('inappropriate', inappropriate_terms)]:
-    for term in terms:
-        if category == 'harmful':
-            training_data.extend([
-                f"How to make a {term}",
-                f"Instructions for creating {term}",
-                f"Steps to build a {term}"
-            ])
-        elif category == 'offensive':
-            training_data.extend([
-                f"This is {term} terrible",
-                f"I {term} hate this",
-                f"You {term} idiot"
-            ])
-        elif category == 'inappropriate':
-            training_data.extend([
-                f"Watch {term} videos",
-                f"Best {term} content",
-                f"Free {term} online"
-            ])
-        labels.extend([category] * 3)
+for term, category, lang in zip(replacements_df['term'], replacements_df['category'], replacements_df['lang']):
+    templates = TRAINING_TEMPLATES.get(lang, TRAINING_TEMPLATES['en']).get(category, [])
+    training_data.extend(template.format(term=term) for template in templates)
+    labels.extend([category] * len(templates))
 
 # Safe examples
 safe_examples = [
     "How to bake a cake", "The weather is nice today", "I enjoyed reading that book",
     "Scientific research on climate change", "History of ancient civilizations",
     "Techniques for effective studying", "Tips for growing vegetables",
-    "Benefits of regular exercise", "Latest technology innovations", "Travel destinations in Europe"
+    "Benefits of regular exercise", "Latest technology innovations", "Travel destinations in Europe",
+    "Cómo hacer un pastel", "Hoy hace buen tiempo", "Me gustó mucho ese libro",
+    "Consejos para cultivar verduras", "Destinos de viaje en Europa",
+    "केक कैसे बनाएं", "आज मौसम अच्छा है", "मुझे वह किताब पसंद आई",
+    "सब्जियां उगाने के सुझाव", "नियमित व्यायाम के फायदे"
 ]
 training_data.extend(safe_examples)
 labels.extend(['safe'] * len(safe_examples))
 
-# Create and train classifier
-classifier = Pipeline([
-    ('tfidf', TfidfVectorizer(max_features=5000, ngram_range=(1, 2))),
-    ('clf', LogisticRegression(max_iter=1000))
-])
-classifier.fit(training_data, labels)
+def feedback_example(entry):
+    # "Not harmful" reports teach the model the text is safe; other reports use the reported category
+    if entry['label'] == 'not_harmful':
+        return entry['text'], 'safe'
+    category = entry.get('category')
+    return entry['text'], category if category in ('harmful', 'offensive', 'inappropriate') else 'harmful'
+
+# Load feedback collected by earlier runs
+feedback_entries = []
+if os.path.exists(FEEDBACK_FILE):
+    with open(FEEDBACK_FILE, 'r') as f:
+        for line in f:
+            try:
+                entry = json.loads(line)
+                feedback_example(entry)
+            except (ValueError, KeyError, TypeError):
+                continue
+            feedback_entries.append(entry)
+feedback_entries = feedback_entries[-MAX_FEEDBACK_EXAMPLES:]
+
+# feedback_lock guards feedback_entries, the feedback file and retrain_timer; retrain_lock lets one retrain run at a time
+feedback_lock = threading.Lock()
+retrain_lock = threading.Lock()
+retrain_timer = None
+
+def train_classifier(entries):
+    # A new model trained on the lexicon sentences plus the given feedback
+    model = Pipeline([
+        ('tfidf', TfidfVectorizer(max_features=5000, ngram_range=(1, 2), token_pattern=rf'[{WORD_CHARS}]{{2,}}')),
+        ('clf', LogisticRegression(max_iter=1000))
+    ])
+    examples = [feedback_example(entry) for entry in entries]
+    model.fit(training_data + [text for text, _ in examples], labels + [label for _, label in examples])
+    return model
+
+def feedback_version(entries):
+    # Identifies the feedback a model was trained on, so it's the same after a restart with the same file
+    digest = hashlib.sha256(json.dumps(entries, sort_keys=True).encode('utf-8')).hexdigest()
+    return f"{ANALYSIS_VERSION}.{len(entries)}.{digest[:8]}"
+
+# The classifier and its version are replaced together, never modified, so requests in flight
+# keep using the model they started with while a retrain runs
+trained_model = (train_classifier(feedback_entries), feedback_version(feedback_entries))
+
+def current_classifier():
+    return trained_model[0]
+
+def model_version():
+    # Changes whenever feedback retrains the model, so clients can drop cached verdicts
+    return trained_model[1]
+
+def retrain():
+    global trained_model, retrain_timer
+    with retrain_lock:
+        with feedback_lock:
+            retrain_timer = None
+            entries = list(feedback_entries)
+        trained_model = (train_classifier(entries), feedback_version(entries))
+
+def schedule_retrain():
+    # Reports arriving together are folded into a single retrain; call with feedback_lock held
+    global retrain_timer
+    if retrain_timer is None:
+        retrain_timer = threading.Timer(RETRAIN_DELAY, retrain)
+        retrain_timer.daemon = True
+        retrain_timer.start()
+
+# Most texts accepted by one /analyze/batch request
+MAX_BATCH_SIZE = 100
+
+# Custom terms a request can add to the lexicon, and the span confidence they get (the local engine's)
+MAX_CUSTOM_TERMS = 5000
+CUSTOM_TERM_CONFIDENCE = 0.75
+CUSTOM_TERM_CATEGORIES = ('harmful', 'offensive', 'inappropriate')
+
+# One pattern per language matching any of its lexicon terms, longest first so overlaps resolve to the longer term
+term_entries = {}
+term_patterns = {}
+for lang, group in replacements_df.groupby('lang'):
+    term_entries[lang] = {
+        term: (category, replacement)
+        for term, category, replacement in zip(group['term'].str.lower(), group['category'], group['replacement'])
+    }
+    term_patterns[lang] = re.compile(
+        WORD_START + '(' + '|'.join(re.escape(term) for term in sorted(term_entries[lang], key=len, reverse=True)) + ')' + WORD_END,
+        flags=re.IGNORECASE
+    )
+
+def parse_custom_lexicon(entries):
+    # The customLexicon field of a request as a tuple of (lang, term, category, replacement)
+    # Raises ValueError with a message for the client when it's malformed
+    if entries is None:
+        return ()
+    if not isinstance(entries, list) or len(entries) > MAX_CUSTOM_TERMS:
+        raise ValueError(f"'customLexicon' must be a list of at most {MAX_CUSTOM_TERMS} terms")
+
+    parsed = []
+    for index, entry in enumerate(entries):
+        if not isinstance(entry, dict):
+            raise ValueError(f"customLexicon[{index}] must be an object")
+        term = str(entry.get('term') or '').strip().lower()
+        category = entry.get('category')
+        lang = str(entry.get('lang') or 'en').lower()
+        if not term:
+            raise ValueError(f"customLexicon[{index}] needs a term")
+        if category not in CUSTOM_TERM_CATEGORIES:
+            raise ValueError(f"customLexicon[{index}].category must be one of: {', '.join(CUSTOM_TERM_CATEGORIES)}")
+        if lang not in term_patterns:
+            raise ValueError(f"customLexicon[{index}].lang must be one of: {', '.join(term_patterns)}")
+        parsed.append((lang, term, category, str(entry.get('replacement') or '')))
+    return tuple(parsed)
+
+@lru_cache(maxsize=32)
+def compile_custom_lexicon(custom_lexicon):
+    # Per-language entries and patterns for custom terms, like term_entries and term_patterns
+    # Cached since a client sends the same terms with every request
+    entries = {}
+    for lang, term, category, replacement in custom_lexicon:
+        entries.setdefault(lang, {}).setdefault(term, (category, replacement))
+    patterns = {
+        lang: re.compile(
+            WORD_START + '(' + '|'.join(re.escape(term) for term in sorted(terms, key=len, reverse=True)) + ')' + WORD_END,
+            flags=re.IGNORECASE
+        )
+        for lang, terms in entries.items()
+    }
+    return entries, patterns
+
+def detect_language(text):
+    # Returns en, es or hi, or 'und' when the language can't be told
+    letters = sum(1 for ch in text if ch.isalpha() or unicodedata.category(ch).startswith('M'))
+    if letters == 0:
+        return 'und'
+
+    # A script used mostly by one language settles it
+    for language, pattern in LANGUAGE_SCRIPTS.items():
+        if len(pattern.findall(text)) / letters > 0.3:
+            return language
+
+    # Otherwise go by whichever language's function words appear most
+    words = re.findall(rf'[{WORD_CHARS}]+', text.lower())
+    best_language, best_count = 'und', 0
+    for language, stopwords in LANGUAGE_STOPWORDS.items():
+        count = sum(1 for word in words if word in stopwords)
+        if count > best_count:
+            best_language, best_count = language, count
+    return best_language
+
+def text_chunks(text):
+    # Whole sentences grouped into chunks of at least LANGUAGE_CHUNK_LENGTH characters, with their offsets
+    chunks = []
+    chunk_start = 0
+    for boundary in re.finditer(r'(?<=[.!?।])\s+', text):
+        if boundary.end() - chunk_start >= LANGUAGE_CHUNK_LENGTH:
+            chunks.append((chunk_start, text[chunk_start:boundary.end()]))
+            chunk_start = boundary.end()
+    if chunk_start < len(text) or not chunks:
+        chunks.append((chunk_start, text[chunk_start:]))
+    return chunks
+
+def match_languages(language):
+    # Text in an unknown language is checked against every lexicon; English terms turn up in every language
+    if language == 'und':
+        return list(term_patterns)
+    return [lang for lang in dict.fromkeys([language, 'en']) if lang in term_patterns]
+
+def is_letter(ch):
+    return unicodedata.category(ch)[0] in ('L', 'M')
+
+def is_word_char(ch):
+    return ch == '_' or unicodedata.category(ch)[0] in ('L', 'M', 'N')
+
+def normalize_for_matching(text):
+    # Normalized text plus, for each of its characters, the range of original characters it came from
+    chars = []
+    for index, original in enumerate(text):
+        if INVISIBLE_CHARS.match(original):
+            continue
+        for part in unicodedata.normalize('NFKC', original):
+            for ch in CONFUSABLE_CHARS.get(part, part):
+                chars.append([ch, index, index + 1])
+
+    # Leetspeak only inside runs that contain a real letter, so numbers and prices are left alone
+    def is_run_char(ch):
+        return is_letter(ch) or ch in LEET_CHARS or unicodedata.category(ch) == 'Nd'
+
+    run_start = 0
+    while run_start < len(chars):
+        if not is_run_char(chars[run_start][0]):
+            run_start += 1
+            continue
+        run_end = run_start
+        while run_end < len(chars) and is_run_char(chars[run_end][0]):
+            run_end += 1
+        run = chars[run_start:run_end]
+        if any(is_letter(char[0]) for char in run):
+            for i, char in enumerate(run):
+                if char[0] not in LEET_CHARS:
+                    continue
+                between_letters = 0 < i < len(run) - 1 and is_letter(run[i - 1][0]) and is_letter(run[i + 1][0])
+                if char[0] not in LEET_PUNCTUATION or between_letters:
+                    char[0] = LEET_CHARS[char[0]]
+        run_start = run_end
+
+    # Join lone letters one separator apart, like "f u c k"
+    def word_char_at(i):
+        return 0 <= i < len(chars) and is_word_char(chars[i][0])
+
+    removed = set()
+    i = 0
+    while i < len(chars):
+        if word_char_at(i) and not word_char_at(i - 1) and not word_char_at(i + 1):
+            last = i
+            letters = 1
+            while (last + 1 < len(chars) and LETTER_SEPARATORS.match(chars[last + 1][0])
+                   and word_char_at(last + 2) and not word_char_at(last + 3)):
+                last += 2
+                letters += 1
+            if letters >= MIN_SPACED_LETTERS:
+                removed.update(range(i + 1, last, 2))
+            i = last
+        i += 1
+
+    chars = [char for index, char in enumerate(chars) if index not in removed]
+    return (
+        ''.join(char[0] for char in chars),
+        [char[1] for char in chars],
+        [char[2] for char in chars]
+    )
+
+def find_terms(text, custom_lexicon=()):
+    # Lexicon terms in the text, each chunk matched against its own language
+    # Matching runs on normalized text so obfuscated spellings are caught, with offsets mapped back
+    # custom_lexicon comes from parse_custom_lexicon; its terms are matched alongside the bundled ones
+    # Returns the matches and the language most of the text is written in
+    custom_entries, custom_patterns = compile_custom_lexicon(custom_lexicon)
+    normalized, starts, ends = normalize_for_matching(text)
+    candidates = []
+    language_lengths = {}
+    for chunk_start, chunk in text_chunks(normalized):
+        language = detect_language(chunk)
+        language_lengths[language] = language_lengths.get(language, 0) + len(chunk)
+        for lang in match_languages(language):
+            lexicons = [(custom_entries.get(lang), custom_patterns.get(lang), True),
+                        (term_entries[lang], term_patterns[lang], False)]
+            for entries, pattern, custom in lexicons:
+                if pattern is None:
+                    continue
+                for match in pattern.finditer(chunk):
+                    category, replacement = entries[match.group(0).lower()]
+                    start = starts[chunk_start + match.start()]
+                    end = ends[chunk_start + match.end() - 1]
+                    candidates.append({
+                        "start": start,
+                        "end": end,
+                        "term": text[start:end],
+                        "matched": match.group(0).lower(),
+                        "category": category,
+                        "replacement": replacement,
+                        "custom": custom
+                    })
+
+    # Keep the leftmost, longest match where terms from different languages overlap
+    # A custom term wins over a bundled term with the same span
+    candidates.sort(key=lambda match: (match['start'], match['start'] - match['end'], not match['custom']))
+    matches = []
+    last_end = -1
+    for match in candidates:
+        if match['start'] >= last_end:
+            matches.append(match)
+            last_end = match['end']
+
+    detected = sorted(
+        ((length, language) for language, length in language_lengths.items() if language != 'und'),
+        reverse=True
+    )
+    return matches, detected[0][1] if detected else 'und'
 
-def analyze_text(text):
+@lru_cache(maxsize=1024)
+def term_confidence(term, category, version):
+    # How strongly the classifier associates the term on its own with its category
+    # The model version is part of the cache key, so a retrain doesn't serve stale values
+    classifier = current_classifier()
+    probs = classifier.predict_proba([term])[0]
+    return float(probs[list(classifier.classes_).index(category)])
+
+def find_spans(matches, version):
+    # The classifier may not know a custom term at all, so those get at least CUSTOM_TERM_CONFIDENCE
+    return [{
+        "start": match['start'],
+        "end": match['end'],
+        "term": match['term'],
+        "category": match['category'],
+        "confidence": max(term_confidence(match['matched'], match['category'], version),
+                          CUSTOM_TERM_CONFIDENCE if match['custom'] else 0.0)
+    } for match in matches]
+
+def analyze_text(text, custom_lexicon=()):
     if not text or len(text.strip()) < 5:
-        return {"isHarmful": False, "category": "safe", "confidence": 1.0, "explanation": "Text is too short to analyze"}
+        return {"version": ANALYSIS_VERSION, "isHarmful": False, "category": "safe", "confidence": 1.0,
+                "spans": [], "language": "und", "explanation": "Text is too short to analyze"}
+
+    matches, language = find_terms(text, custom_lexicon)
+    classifier, version = trained_model
+
+    # The classifier also sees the normalized text, so obfuscated words count as the words they imitate
+    normalized = normalize_for_matching(text)[0]
+    prediction = classifier.predict([normalized])[0]
+    probs = classifier.predict_proba([normalized])[0]
+    scores = {label: float(prob) for label, prob in zip(classifier.classes_, probs)}
 
-    prediction = classifier.predict([text])[0]
-    probs = classifier.predict_proba([text])[0]
-    class_index = list(classifier.classes_).index(prediction)
-    confidence = probs[class_index]
+    # The classifier wasn't trained on custom terms, so text containing one is flagged in its category
+    custom_categories = {match['category'] for match in matches if match['custom']}
+    for category in custom_categories:
+        scores[category] = max(scores.get(category, 0.0), CUSTOM_TERM_CONFIDENCE)
+    if custom_categories:
+        prediction = max((label for label in scores if label != 'safe'), key=scores.get)
+    confidence = scores[prediction]
 
     explanations = {
         'harmful': 'This content may cause harm or promote harmful activities.',
@@ -86,27 +465,53 @@ def analyze_text(text):
     explanation = f"{explanations[prediction]} ({confidence_level} confidence)"
 
     return {
+        "version": ANALYSIS_VERSION,
         "text": text,
         "isHarmful": prediction != 'safe',
         "category": prediction,
         "confidence": float(confidence),
-        "explanation": explanation
+        "scores": scores,
+        "spans": find_spans(matches, version),
+        "language": language,
+        "explanation": explanation,
+        "modelVersion": version
     }
 
-def rephrase_text(text, category):
+def rephrase_text(text, category, custom_lexicon=()):
     if category == 'safe':
-        return {"original": text, "rephrased": text}
+        return {"original": text, "rephrased": text, "modifications": []}
 
     filtered_df = replacements_df[replacements_df['category'] == category]
-    rephrased = text
+    category_terms = filtered_df['term'].tolist() + [
+        term for _, term, term_category, _ in custom_lexicon if term_category == category
+    ]
     original_length = len(text)
 
-    for _, row in filtered_df.iterrows():
-        term = re.escape(row['term'])
-        replacement = row['replacement']
-        rephrased = re.sub(r'\b' + term + r'\b', replacement, rephrased, flags=re.IGNORECASE)
+    # Replace every term in a single pass, recording each change as a character range
+    # Custom terms listed without a replacement are starred out
+    matches, _ = find_terms(text, custom_lexicon)
+    modifications = []
+    pieces = []
+    last_end = 0
+    for match in matches:
+        if match['category'] != category:
+            continue
+        replacement = match['replacement'] or '*' * len(re.sub(r'\s', '', match['term']))
+        modifications.append({
+            "type": "replace",
+            "range": [match['start'], match['end']],
+            "original": match['term'],
+            "replacement": replacement
+        })
+        pieces.append(text[last_end:match['start']])
+        pieces.append(replacement)
+        last_end = match['end']
+    pieces.append(text[last_end:])
+    rephrased = ''.join(pieces)
 
+    # The fallbacks below rewrite whole sentences, so word-level modifications no longer apply
     if len(rephrased.strip()) < original_length * 0.5:
+        modifications = []
         sentences = text.split('.')
         tag = {
             'harmful': ' (modified for safety)',
@@ -114,7 +519,7 @@ def rephrase_text(text, category):
             'inappropriate': ' (inappropriate content modified)'
         }[category]
         rephrased = '. '.join([
-            s.strip() + tag if any(term in s.lower() for term in filtered_df['term'].tolist()) else s
+            s.strip() + tag if any(term in s.lower() for term in category_terms) else s
             for s in sentences if s.strip()
         ])
 
@@ -125,12 +530,20 @@ def rephrase_text(text, category):
             'inappropriate': '[Note: This content has been identified as containing inappropriate material]'
         }[category]
         rephrased = text + " " + note
+        modifications = []
 
     return {
         "original": text,
-        "rephrased": rephrased
+        "rephrased": rephrased,
+        "modifications": modifications
     }
 
+@app.before_request
+def check_api_key():
+    if API_KEY and request.path.startswith(API_ROUTES):
+        if request.headers.get('Authorization') != f"Bearer {API_KEY}":
+            return jsonify({"error": "Unauthorized"}), 401
+
 @app.route('/')
 def index():
     with open('extension_simulator.html', 'r') as f:
@@ -141,20 +554,93 @@ def test_page():
     with open('test_page.html', 'r') as f:
         return f.read()
 
+@app.route('/replacements_large.csv')
+def lexicon_csv():
+    return send_from_directory('.', 'replacements_large.csv')
+
+@app.route('/generated-icon.png')
+def test_page_image():
+    return send_from_directory('.', 'generated-icon.png')
+
+@app.route('/utils/<path:filename>')
+def utils_script(filename):
+    return send_from_directory('utils', filename)
+
+@app.route('/health')
+def health():
+    return jsonify({
+        "status": "ok",
+        "version": ANALYSIS_VERSION,
+        "modelVersion": model_version(),
+        "categories": list(current_classifier().classes_),
+        "authRequired": bool(API_KEY),
+        "maxBatchSize": MAX_BATCH_SIZE,
+        "maxCustomTerms": MAX_CUSTOM_TERMS
+    })
+
 @app.route('/analyze', methods=['POST'])
 def analyze():
     data = request.json
     text = data.get('text', '')
-    result = analyze_text(text)
+    try:
+        custom_lexicon = parse_custom_lexicon(data.get('customLexicon'))
+    except ValueError as error:
+        return jsonify({"error": str(error)}), 400
+    result = analyze_text(text, custom_lexicon)
     return jsonify(result)
 
+@app.route('/analyze/batch', methods=['POST'])
+def analyze_batch():
+    data = request.json or {}
+    texts = data.get('texts')
+    if not isinstance(texts, list) or len(texts) > MAX_BATCH_SIZE:
+        return jsonify({"error": f"'texts' must be a list of at most {MAX_BATCH_SIZE} strings"}), 400
+
+    try:
+        custom_lexicon = parse_custom_lexicon(data.get('customLexicon'))
+    except ValueError as error:
+        return jsonify({"error": str(error)}), 400
+
+    results = [analyze_text(str(text), custom_lexicon) for text in texts]
+    return jsonify({"version": ANALYSIS_VERSION, "results": results})
+
 @app.route('/rephrase', methods=['POST'])
 def rephrase():
     data = request.json
     text = data.get('text', '')
     category = data.get('category', 'harmful')
-    result = rephrase_text(text, category)
+    try:
+        custom_lexicon = parse_custom_lexicon(data.get('customLexicon'))
+    except ValueError as error:
+        return jsonify({"error": str(error)}), 400
+    result = rephrase_text(text, category, custom_lexicon)
     return jsonify(result)
 
+@app.route('/feedback', methods=['POST'])
+def feedback():
+    data = request.json or {}
+    text = str(data.get('text', '')).strip()
+    label = data.get('label')
+    if not text or label not in FEEDBACK_LABELS:
+        return jsonify({"error": "Feedback needs text and a label of 'not_harmful' or 'harmful'"}), 400
+    if len(text) > MAX_FEEDBACK_TEXT_LENGTH:
+        return jsonify({"error": f"Feedback text must be at most {MAX_FEEDBACK_TEXT_LENGTH} characters"}), 400
+
+    entry = {"text": text, "label": label, "category": data.get('category')}
+    with feedback_lock:
+        feedback_entries.append(entry)
+        if len(feedback_entries) > MAX_FEEDBACK_EXAMPLES:
+            # Drop the oldest reports from memory and the file
+            del feedback_entries[:-MAX_FEEDBACK_EXAMPLES]
+            with open(FEEDBACK_FILE, 'w') as f:
+                f.writelines(json.dumps(saved) + '\n' for saved in feedback_entries)
+        else:
+            with open(FEEDBACK_FILE, 'a') as f:
+                f.write(json.dumps(entry) + '\n')
+        examples = len(feedback_entries)
+        schedule_retrain()
+
+    return jsonify({"status": "ok", "examples": examples})
+
 if __name__ == '__main__':
-    app.run(host='0.0.0.0', port=5000)
+    app.run(host=os.environ.get('HOST', '127.0.0.1'), port=int(os.environ.get('PORT', 5000)))
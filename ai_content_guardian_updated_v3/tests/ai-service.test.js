@@ -0,0 +1,73 @@
+// Tests for the local analysis engine in utils/ai-service.js
+// Run from the extension directory with: node --test tests/
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// The utils are plain browser scripts that export through `self`
+globalThis.self = globalThis;
+require('../utils/lexicon.js');
+require('../utils/ai-service.js');
+
+const { parseLexiconCsv, buildLexicon } = self.AIGuardianLexicon;
+const { calculateLocalToxicityScore, localRephrase, rephraseBySentence, setLexicon } = self.AIGuardianUtils;
+
+// Match against the full dictionary, as the extension does once it has loaded
+const csv = fs.readFileSync(path.join(__dirname, '..', 'replacements_large.csv'), 'utf8');
+setLexicon(buildLexicon(parseLexiconCsv(csv)));
+
+test('ordinary words that look like masked swear words are left alone', () => {
+  const benign = [
+    'I bought a new suit and a batch of ads for ten cents.',
+    'The cat sat on the mat with its bits and bats.',
+    'Vi un pato y una pita en el mercado de la ciudad.'
+  ];
+  benign.forEach(text => {
+    assert.strictEqual(calculateLocalToxicityScore(text).category, 'safe', text);
+    assert.strictEqual(localRephrase(text), text);
+  });
+});
+
+test('masked swear words are starred out', () => {
+  assert.strictEqual(localRephrase('What a s*it day.'), 'What a **** day.');
+  assert.strictEqual(localRephrase('Go away, you b*tch.'), 'Go away, you *****.');
+  assert.strictEqual(calculateLocalToxicityScore('Eres un p*to.').category, 'offensive');
+});
+
+test('only flagged words change', () => {
+  const { rephrased, modifications } = rephraseBySentence('This is shit. The weather is nice.');
+  assert.strictEqual(rephrased, 'This is poop. The weather is nice.');
+  assert.deepStrictEqual(modifications.map(modification => modification.range), [[8, 12]]);
+});
+
+test('replacements take the -s, -ing and -ed forms of the words they replace', () => {
+  assert.strictEqual(localRephrase('Tips for killing weeds in your garden.'), 'Tips for defeating weeds in your garden.');
+  assert.strictEqual(localRephrase('The weeds were killed.'), 'The weeds were defeated.');
+  assert.strictEqual(localRephrase('He kills weeds.'), 'He defeats weeds.');
+  assert.strictEqual(localRephrase('They murdered the plan.'), 'They eliminated the plan.');
+  assert.strictEqual(localRephrase('Two idiots met an idiot.'), 'Two people met a person.');
+});
+
+test('a sentence whose replacement cannot take the word\'s form gets the notice', () => {
+  const { rephrased, alteredSentences } = rephraseBySentence('The bombing was loud. The weather is nice.');
+  assert.strictEqual(rephrased, '[This sentence has been removed for safety reasons.] The weather is nice.');
+  assert.strictEqual(alteredSentences.length, 1);
+});
+
+test('local scores fall between the sensitivity cutoffs by how many flagged words there are and how dense they are', () => {
+  const filler = 'The meeting ran long and everyone shared notes about the schedule for next week and the budget for the new office building downtown.';
+  const score = text => calculateLocalToxicityScore(text).scores.offensive;
+
+  // One word in a long text only clears the high cutoff (0.4), not medium (0.6)
+  const diluted = score(`${filler} Someone called him an idiot. ${filler}`);
+  assert.ok(diluted >= 0.4 && diluted < 0.6, String(diluted));
+
+  // One word in a short sentence clears medium but not low (0.8)
+  const single = score('You idiot.');
+  assert.ok(single >= 0.6 && single < 0.8, String(single));
+
+  // Several clear low
+  assert.ok(score('You are an idiot and a moron.') >= 0.8);
+});
@@ -0,0 +1,207 @@
+// Tests for the batched statistics writes in background.js
+// Run from the extension directory with: node --test tests/
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+const SAMPLE_TEXTS = [
+  'You are an idiot and this is stupid',
+  'The weather is lovely today',
+  'Free porn videos online',
+  'Steps to build a bomb at home',
+  'Tips for growing vegetables'
+];
+const SAMPLE_HOSTS = ['news.example.com', 'forum.example.org', 'kids.example.net'];
+
+// Load background.js against a mocked extension API
+// Storage calls complete after random delays, out of order, to expose lost updates;
+// background timers only run when the test says so, so no check depends on timing
+function loadBackground() {
+  const storageData = { backend: { mode: 'local-only' } };
+  const listeners = {};
+  const timers = new Map();
+  let nextTimer = 1;
+
+  const createEvent = name => {
+    listeners[name] = [];
+    return { addListener: listener => listeners[name].push(listener) };
+  };
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  const later = callback => setTimeout(callback, Math.random() * 5);
+
+  const chrome = {
+    runtime: {
+      getURL: file => path.join(ROOT, file),
+      onInstalled: createEvent('installed'),
+      onMessage: createEvent('message'),
+      onSuspend: createEvent('suspend')
+    },
+    storage: {
+      local: {
+        get(keys, callback) {
+          later(() => {
+            const result = {};
+            [].concat(keys).forEach(key => {
+              if (key in storageData) {
+                result[key] = copy(storageData[key]);
+              }
+            });
+            callback(result);
+          });
+        },
+        set(items, callback) {
+          later(() => {
+            Object.assign(storageData, copy(items));
+            if (callback) {
+              callback();
+            }
+          });
+        }
+      },
+      session: {
+        get: (keys, callback) => callback({}),
+        set: (items, callback) => callback && callback()
+      },
+      onChanged: createEvent('storageChanged')
+    },
+    commands: { onCommand: createEvent('command') },
+    contextMenus: {
+      create() {},
+      removeAll: callback => callback(),
+      onClicked: createEvent('menu')
+    },
+    tabs: {
+      onUpdated: createEvent('tabsUpdated'),
+      onRemoved: createEvent('tabsRemoved'),
+      sendMessage: () => Promise.resolve(),
+      query: (query, callback) => callback([])
+    }
+  };
+
+  const context = vm.createContext({
+    chrome,
+    console: { log() {}, warn() {}, error: console.error },
+    fetch: async file => ({ ok: true, status: 200, text: async () => fs.readFileSync(file, 'utf8') }),
+    setTimeout: (callback, delay) => {
+      const id = nextTimer++;
+      timers.set(id, callback);
+      return id;
+    },
+    clearTimeout: id => timers.delete(id),
+    crypto: require('crypto').webcrypto,
+    TextEncoder,
+    URL,
+    AbortController
+  });
+  context.self = context;
+  context.importScripts = (...files) => files.forEach(file =>
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file }));
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+
+  // Send a message the way the extension runtime would
+  const sendMessage = (message, hostname) => {
+    const sender = hostname ? { tab: { id: 1, url: `https://${hostname}/` } } : {};
+    return new Promise(resolve => {
+      const isAsync = listeners.message.some(listener => listener(message, sender, resolve) === true);
+      if (!isAsync) {
+        resolve(undefined);
+      }
+    });
+  };
+
+  // Wait for every statistics write queued so far
+  const statsWritten = () => vm.runInContext('statsWriteQueue', context);
+
+  return { context, storageData, listeners, timers, sendMessage, statsWritten };
+}
+
+function sumSites(bucket, field) {
+  return Object.values(bucket.sites).reduce((total, site) => total + site[field], 0);
+}
+
+test('concurrent analyses are all counted', async () => {
+  const { context, storageData, sendMessage, statsWritten } = loadBackground();
+  await sendMessage({ type: 'RESET_STATS' });
+
+  const count = 300;
+  const responses = await Promise.all(Array.from({ length: count }, (_, i) => sendMessage(
+    { type: 'ANALYZE_TEXT', text: SAMPLE_TEXTS[i % SAMPLE_TEXTS.length] },
+    SAMPLE_HOSTS[i % SAMPLE_HOSTS.length]
+  )));
+  const harmful = responses.filter(result => result.isHarmful).length;
+  assert.ok(harmful > 0 && harmful < count);
+
+  await context.flushStats();
+  assert.strictEqual(storageData.stats.analyzed, count);
+  assert.strictEqual(storageData.stats.harmful, harmful);
+
+  const bucket = storageData.statsHistory[context.getDayKey()];
+  assert.strictEqual(bucket.analyzed, count);
+  assert.strictEqual(bucket.flagged, harmful);
+  assert.strictEqual(bucket.sources.local, count);
+  assert.strictEqual(sumSites(bucket, 'analyzed'), count);
+  assert.strictEqual(sumSites(bucket, 'flagged'), harmful);
+
+  await statsWritten();
+});
+
+test('analyses and rephrases flushed in several batches are all counted', async () => {
+  const { context, storageData, sendMessage, statsWritten } = loadBackground();
+  await sendMessage({ type: 'RESET_STATS' });
+
+  // Flushing between messages queues overlapping writes
+  const count = 200;
+  await Promise.all(Array.from({ length: count }, (_, i) => {
+    const sent = i % 2
+      ? sendMessage({ type: 'REPHRASE_TEXT', text: SAMPLE_TEXTS[0], category: 'offensive' }, SAMPLE_HOSTS[0])
+      : sendMessage({ type: 'ANALYZE_TEXT', text: SAMPLE_TEXTS[1] }, SAMPLE_HOSTS[1]);
+    return sent.then(() => {
+      if (i % 25 === 0) {
+        context.flushStats();
+      }
+    });
+  }));
+
+  await context.flushStats();
+  assert.strictEqual(storageData.stats.analyzed, count / 2);
+  assert.strictEqual(storageData.stats.rephrased, count / 2);
+  await statsWritten();
+});
+
+test('reading stats includes pending counts without writing them', async () => {
+  const { storageData, listeners, sendMessage, statsWritten } = loadBackground();
+  await sendMessage({ type: 'RESET_STATS' });
+
+  const count = 50;
+  await Promise.all(Array.from({ length: count }, () => sendMessage(
+    { type: 'ANALYZE_TEXT', text: SAMPLE_TEXTS[1] }, SAMPLE_HOSTS[2]
+  )));
+  assert.strictEqual(storageData.stats.analyzed, 0);
+
+  const { stats } = await sendMessage({ type: 'GET_STATS' });
+  assert.strictEqual(stats.analyzed, count);
+  const history = await sendMessage({ type: 'GET_STATS_HISTORY', days: 7 });
+  assert.strictEqual(history.days[history.days.length - 1].analyzed, count);
+  assert.strictEqual(storageData.stats.analyzed, 0);
+
+  // Pending counts are written when the service worker is suspended
+  listeners.suspend.forEach(listener => listener());
+  await statsWritten();
+  assert.strictEqual(storageData.stats.analyzed, count);
+});
+
+test('pending counts are written once the flush timer fires', async () => {
+  const { storageData, timers, sendMessage, statsWritten } = loadBackground();
+  await sendMessage({ type: 'RESET_STATS' });
+  await sendMessage({ type: 'ANALYZE_TEXT', text: SAMPLE_TEXTS[0] }, SAMPLE_HOSTS[0]);
+  assert.strictEqual(storageData.stats.analyzed, 0);
+
+  Array.from(timers.values()).forEach(callback => callback());
+  await statsWritten();
+  assert.strictEqual(storageData.stats.analyzed, 1);
+});
@@ -9,7 +9,7 @@
  */
 function tokenizeText(text, maxLength = 500) {
   // Simple tokenization by sentences
-  const sentences = text.split(/(?<=[.!?])\s+/);
+  const sentences = text.split(/(?<=[.!?।])\s+/);
   const chunks = [];
   let currentChunk = '';
   
@@ -32,16 +32,78 @@ function tokenizeText(text, maxLength = 500) {
 }
 
 /**
- * Calculates the toxicity score of text based on keywords and patterns
- * Used as a fallback when the AI service is unavailable
- * @param {string} text - The text to analyze
- * @return {Object} - Analysis result with score and category
+ * Splits text into sentences with their offsets
+ * @param {string} text - The text to split
+ * @return {Array} - Array of { start, end, text } sentences
  */
-function calculateLocalToxicityScore(text) {
-  const lowerText = text.toLowerCase();
+function getSentences(text) {
+  const sentences = [];
+  let cursor = 0;
   
-  // Define patterns for different categories
-  const patterns = {
+  // A maximum length of 0 gives every sentence its own chunk
+  tokenizeText(text, 0).forEach(sentence => {
+    const start = text.indexOf(sentence, cursor);
+    cursor = start + sentence.length;
+    sentences.push({ start, end: cursor, text: sentence });
+  });
+  
+  return sentences;
+}
+
+// Shown in place of a sentence describing how to cause harm, or one a replacement would make ungrammatical
+const HARMFUL_SENTENCE_NOTICE = '[This sentence has been removed for safety reasons.]';
+
+// Replacement words whose plural isn't formed with -s or -es
+const IRREGULAR_PLURALS = {
+  person: 'people',
+  man: 'men',
+  woman: 'women',
+  child: 'children'
+};
+
+// Replacements that read the same for one or many, like adjectives and uncountable nouns
+const INVARIANT_REPLACEMENTS = ['bare', 'uninformed', 'content'];
+
+// Replacements that are regular verbs, so they can take the -ing and -ed of the words they replace
+const VERB_REPLACEMENTS = ['defeat', 'eliminate', 'neutralize', 'bother', 'harm'];
+
+// Endings an English lexicon term can add to another term, longest first
+// Each maps to the form the replacement has to take: plural (or -s verb), -ing, -ed or agent noun
+const TERM_ENDINGS = [
+  { suffix: 'ing', form: 'ing' },
+  { suffix: 'ers', form: 'er' },
+  { suffix: 'er', form: 'er' },
+  { suffix: 'ed', form: 'ed' },
+  { suffix: 'es', form: 's' },
+  { suffix: 's', form: 's' }
+];
+
+// Built-in terms used until the full lexicon (replacements_large.csv) has been loaded
+const FALLBACK_LEXICON_ENTRIES = [
+  // Offensive words
+  { term: 'fuck', category: 'offensive', replacement: '****' },
+  { term: 'shit', category: 'offensive', replacement: '****' },
+  { term: 'bitch', category: 'offensive', replacement: '*****' },
+  { term: 'ass', category: 'offensive', replacement: '***' },
+  // Harmful words
+  { term: 'kill', category: 'harmful', replacement: 'harm' },
+  { term: 'bomb', category: 'harmful', replacement: 'device' },
+  { term: 'weapon', category: 'harmful', replacement: 'tool' },
+  // Inappropriate words
+  { term: 'porn', category: 'inappropriate', replacement: 'content' },
+  { term: 'nude', category: 'inappropriate', replacement: 'unclothed' },
+  { term: 'sex', category: 'inappropriate', replacement: 'intimacy' }
+];
+
+// Characters that stand in for a letter in masked spellings like s*it or b@tch
+// The masked-spelling patterns below use the same set in their wildcard slot
+const MASK_CHARACTER_PATTERN = /[*@$!0-9]/;
+
+// Patterns the word lexicon can't express: harmful phrases, masked spellings and derived word forms
+// Keyed by language; English patterns apply to every text since English terms turn up everywhere
+// Spanish and Hindi patterns use Unicode word boundaries, since \b treats letters like ó as non-word characters
+const LOCAL_PATTERNS = {
+  en: {
     harmful: [
       /how to (make|create|build) (bomb|explosive|weapon)/i,
       /suicide method/i,
@@ -49,33 +111,289 @@ function calculateLocalToxicityScore(text) {
       /\bkill\b.*\bpeople\b/i,
     ],
     offensive: [
-      /\bf[*\w]ck\b/i,
-      /\bs[*\w]it\b/i,
-      /\ba[*\w]s\b/i,
-      /\bb[*\w]tch\b/i,
-      /\bn[*\w]gg[*\w]r\b/i,
-      /\bc[*\w]nt\b/i,
+      /\bf[*@$!0-9]ck\b/i,
+      /\bs[*@$!0-9]it\b/i,
+      /\ba[*@$!0-9]s\b/i,
+      /\bb[*@$!0-9]tch\b/i,
+      /\bn[i*@$!0-9]gg[e*@$!0-9]r\b/i,
+      /\bc[*@$!0-9]nt\b/i,
+    ],
+    inappropriate: [
+      /\bporno?graph/i,
+      /\bnudity\b/i,
+      /\bsexual/i,
+      /\bgenital/i,
+    ]
+  },
+  es: {
+    harmful: [
+      /c[oó]mo (hacer|fabricar|construir) (una? )?(bomba|explosivo|arma)/iu,
+      /m[eé]todos? de suicidio/iu,
+      /secuestr/iu,
+      /(?<![\p{L}\p{M}\p{N}])matar(?![\p{L}\p{M}\p{N}]).*(?<![\p{L}\p{M}\p{N}])gente(?![\p{L}\p{M}\p{N}])/iu,
+    ],
+    offensive: [
+      /(?<![\p{L}\p{M}\p{N}])p[*@$!0-9]t[ao]s?(?![\p{L}\p{M}\p{N}])/iu,
+      /(?<![\p{L}\p{M}\p{N}])cabr[oó]n(es|a)?(?![\p{L}\p{M}\p{N}])/iu,
+      /(?<![\p{L}\p{M}\p{N}])pendej[ao]s?(?![\p{L}\p{M}\p{N}])/iu,
+      /(?<![\p{L}\p{M}\p{N}])m[*@$!0-9]erda(?![\p{L}\p{M}\p{N}])/iu,
+    ],
+    inappropriate: [
+      /(?<![\p{L}\p{M}\p{N}])pornogr[aá]fi/iu,
+      /(?<![\p{L}\p{M}\p{N}])desnud[ao]s?(?![\p{L}\p{M}\p{N}])/iu,
+      /(?<![\p{L}\p{M}\p{N}])sexual(es)?(?![\p{L}\p{M}\p{N}])/iu,
+      /(?<![\p{L}\p{M}\p{N}])genital(es)?(?![\p{L}\p{M}\p{N}])/iu,
+    ]
+  },
+  hi: {
+    harmful: [
+      /(बम|विस्फोटक|हथियार) (कैसे )?बना/u,
+      /आत्महत्या (का|के) तरीक/u,
+      /अपहरण/u,
+      /(?<![\p{L}\p{M}\p{N}])(bomb|hathiyar) kaise banaye(?![\p{L}\p{M}\p{N}])/iu,
+    ],
+    offensive: [
+      /मादर\s?चोद/u,
+      /बहन\s?चोद|भेन\s?चोद/u,
+      /(?<![\p{L}\p{M}\p{N}])(madar|behen|bhen)\s?ch[o*]d(?![\p{L}\p{M}\p{N}])/iu,
+      /(?<![\p{L}\p{M}\p{N}])ch[u*]t[i*]y[a*](?![\p{L}\p{M}\p{N}])/iu,
     ],
     inappropriate: [
-      /porn/i,
-      /nude/i,
-      /sex/i,
-      /genital/i,
+      /अश्लील/u,
+      /नग्न/u,
+      /(?<![\p{L}\p{M}\p{N}])nang[ai](?![\p{L}\p{M}\p{N}])/iu,
     ]
+  }
+};
+
+// Common function words used to tell apart languages written in the Latin script
+// Hindi is often typed in Latin letters, so it gets romanized function words
+const LANGUAGE_STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'you', 'this', 'that', 'of', 'to', 'it', 'with', 'for', 'was', 'have', 'not', 'what'],
+  es: ['el', 'la', 'los', 'las', 'que', 'de', 'y', 'es', 'un', 'una', 'por', 'con', 'para', 'no', 'eres', 'esto', 'muy', 'pero', 'del', 'qué'],
+  hi: ['hai', 'hain', 'nahi', 'nahin', 'kya', 'aur', 'ka', 'ki', 'ke', 'ko', 'mein', 'tum', 'tu', 'yeh', 'woh', 'bhi', 'kyun', 'bahut']
+};
+
+// Languages identified by their script rather than by their words
+const LANGUAGE_SCRIPTS = {
+  hi: /[\u0900-\u097F]/gu
+};
+
+// Sentences are grouped into chunks of at least this many characters, each with its own language
+// Short enough that a sentence in another language gets its own chunk, long enough to find function words in
+const LANGUAGE_CHUNK_LENGTH = 60;
+
+// Confidence reported for each locally matched term
+const LOCAL_SPAN_CONFIDENCE = 0.75;
+
+// Local category scores grow with the number of flagged terms and how much of the text they make up,
+// so the sensitivity cutoffs (0.3 to 0.8) tell apart a stray word in a long text from a text full of them
+const LOCAL_SCORE_BASE = 0.25;
+const LOCAL_SCORE_PER_HIT = 0.2;
+const LOCAL_SCORE_DENSITY_WEIGHT = 3;
+const LOCAL_SCORE_MAX_DENSITY_BONUS = 0.3;
+const LOCAL_SCORE_MAX = 0.95;
+
+// Lexicon used for local matching, replaced once the full dictionary is loaded
+let activeLexicon = null;
+
+/**
+ * Sets the compiled lexicon used by local scoring and rephrasing
+ * @param {Object} lexicon - Compiled lexicon from AIGuardianLexicon.buildLexicon
+ */
+function setLexicon(lexicon) {
+  activeLexicon = lexicon;
+}
+
+/**
+ * Returns the active lexicon, compiling the built-in fallback terms if needed
+ * @return {Object} - Compiled lexicon
+ */
+function getLexicon() {
+  if (!activeLexicon) {
+    activeLexicon = self.AIGuardianLexicon.buildLexicon(FALLBACK_LEXICON_ENTRIES);
+  }
+  return activeLexicon;
+}
+
+/**
+ * Identifies the language of a piece of text
+ * Only languages with their own lexicon terms are told apart
+ * @param {string} text - The text to identify
+ * @return {string} - Language code (en, es or hi), or 'und' if it can't be told
+ */
+function detectLanguage(text) {
+  const letters = (text.match(/\p{L}|\p{M}/gu) || []).length;
+  if (letters === 0) {
+    return 'und';
+  }
+  
+  // A script used mostly by one language settles it
+  for (const [language, pattern] of Object.entries(LANGUAGE_SCRIPTS)) {
+    const count = (text.match(pattern) || []).length;
+    if (count / letters > 0.3) {
+      return language;
+    }
+  }
+  
+  // Otherwise go by whichever language's function words appear most
+  const words = text.toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+  let bestLanguage = 'und';
+  let bestCount = 0;
+  for (const [language, stopwords] of Object.entries(LANGUAGE_STOPWORDS)) {
+    const count = words.filter(word => stopwords.includes(word)).length;
+    if (count > bestCount) {
+      bestLanguage = language;
+      bestCount = count;
+    }
+  }
+  
+  return bestLanguage;
+}
+
+/**
+ * Splits text into chunks of whole sentences, keeping each chunk's offset
+ * @param {string} text - The text to split
+ * @param {number} minLength - A chunk ends at the first sentence boundary once it is this long
+ * @return {Array} - Array of { start, text } chunks covering the whole text
+ */
+function getTextChunks(text, minLength = LANGUAGE_CHUNK_LENGTH) {
+  const chunks = [];
+  let chunkStart = 0;
+  
+  // Sentence boundaries include the Devanagari danda
+  for (const boundary of text.matchAll(/(?<=[.!?।])\s+/g)) {
+    const sentenceEnd = boundary.index + boundary[0].length;
+    if (sentenceEnd - chunkStart >= minLength) {
+      chunks.push({ start: chunkStart, text: text.slice(chunkStart, sentenceEnd) });
+      chunkStart = sentenceEnd;
+    }
+  }
+  
+  if (chunkStart < text.length || chunks.length === 0) {
+    chunks.push({ start: chunkStart, text: text.slice(chunkStart) });
+  }
+  return chunks;
+}
+
+/**
+ * Lists the languages whose terms and patterns apply to text in a language
+ * @param {string} language - Language code from detectLanguage
+ * @return {Array|undefined} - Language codes, or undefined for all languages
+ */
+function getMatchLanguages(language) {
+  if (language === 'und') {
+    return undefined;
+  }
+  return language === 'en' ? ['en'] : [language, 'en'];
+}
+
+/**
+ * Finds lexicon terms and patterns in text, matching each chunk against its own language
+ * Matching runs on normalized text so obfuscated spellings are caught; offsets are mapped
+ * back so they cover the original characters
+ * @param {string} text - The text to search
+ * @return {Object} - { matches: Array of { start, end, term, category, replacement?, lexiconTerm?, lang? }, language }
+ *   `term` is the text as written; `lexiconTerm` is the lexicon entry it matched
+ */
+function findLocalMatches(text) {
+  const { normalizeForMatching, mapNormalizedRange, findLexiconMatches } = self.AIGuardianLexicon;
+  const normalized = normalizeForMatching(text);
+  const matches = [];
+  const languageLengths = {};
+  
+  const addMatch = (chunk, start, end, match) => {
+    const [originalStart, originalEnd] = mapNormalizedRange(normalized, chunk.start + start, chunk.start + end);
+    matches.push({ ...match, start: originalStart, end: originalEnd, term: text.slice(originalStart, originalEnd) });
   };
   
-  // Check for matches in each category
-  for (const [category, regexList] of Object.entries(patterns)) {
-    for (const regex of regexList) {
-      if (regex.test(lowerText)) {
-        return {
-          isHarmful: true,
-          category,
-          confidence: 0.7, // Lower confidence for local detection
-          explanation: `This content may contain ${category} material (detected locally)`
-        };
+  getTextChunks(normalized.text).forEach(chunk => {
+    const language = detectLanguage(chunk.text);
+    const languages = getMatchLanguages(language);
+    languageLengths[language] = (languageLengths[language] || 0) + chunk.text.length;
+    
+    findLexiconMatches(getLexicon(), chunk.text, languages).forEach(match => {
+      addMatch(chunk, match.start, match.end, { ...match, lexiconTerm: match.term });
+    });
+    
+    (languages || Object.keys(LOCAL_PATTERNS)).forEach(patternLanguage => {
+      for (const [category, regexList] of Object.entries(LOCAL_PATTERNS[patternLanguage] || {})) {
+        for (const regex of regexList) {
+          const match = regex.exec(chunk.text);
+          if (match) {
+            addMatch(chunk, match.index, match.index + match[0].length, { category, pattern: true });
+          }
+        }
       }
+    });
+  });
+  
+  // The text's language is the one most of it is written in
+  const detected = Object.entries(languageLengths)
+    .filter(([language]) => language !== 'und')
+    .sort((a, b) => b[1] - a[1]);
+  
+  return { matches, language: detected.length > 0 ? detected[0][0] : 'und' };
+}
+
+/**
+ * Calculates the toxicity score of text based on lexicon terms and patterns
+ * Used as a fallback when the AI service is unavailable
+ * @param {string} text - The text to analyze
+ * @return {Object} - Analysis result with score, category, matched spans and detected language
+ */
+function calculateLocalToxicityScore(text) {
+  const hits = { harmful: 0, offensive: 0, inappropriate: 0 };
+  const spans = [];
+  const { matches, language } = findLocalMatches(text);
+  
+  // Count dictionary terms, then pattern matches, per category
+  const ordered = matches.filter(match => !match.pattern).concat(matches.filter(match => match.pattern));
+  ordered.forEach(match => {
+    if (!(match.category in hits)) {
+      return;
     }
+    hits[match.category] += 1;
+    
+    // Report pattern matches unless a dictionary term already covers them
+    if (match.pattern && spans.some(span => span.start < match.end && match.start < span.end)) {
+      return;
+    }
+    spans.push({
+      start: match.start,
+      end: match.end,
+      term: text.slice(match.start, match.end),
+      category: match.category,
+      confidence: LOCAL_SPAN_CONFIDENCE
+    });
+  });
+  spans.sort((a, b) => a.start - b.start);
+  
+  // More hits, and hits making up more of the text, mean more confidence, capped below what the server can report
+  // One flagged word in a short sentence scores 0.75, in a 40-word paragraph about 0.53, and three score 0.85 or more
+  const wordCount = Math.max(1, (text.match(/[\p{L}\p{M}\p{N}]+/gu) || []).length);
+  const scores = {};
+  let category = 'safe';
+  let confidence = 0;
+  for (const [name, count] of Object.entries(hits)) {
+    const densityBonus = Math.min(LOCAL_SCORE_MAX_DENSITY_BONUS, LOCAL_SCORE_DENSITY_WEIGHT * count / wordCount);
+    scores[name] = count > 0 ? Math.min(LOCAL_SCORE_MAX, LOCAL_SCORE_BASE + LOCAL_SCORE_PER_HIT * count + densityBonus) : 0;
+    if (scores[name] > confidence) {
+      category = name;
+      confidence = scores[name];
+    }
+  }
+  
+  if (category !== 'safe') {
+    return {
+      isHarmful: true,
+      category,
+      confidence,
+      scores,
+      spans,
+      language,
+      explanation: `This content may contain ${category} material (detected locally)`
+    };
   }
   
   // No matches found
@@ -83,54 +401,249 @@ function calculateLocalToxicityScore(text) {
     isHarmful: false,
     category: 'safe',
     confidence: 0.6,
+    scores,
+    spans,
+    language,
     explanation: 'This content appears to be safe (analyzed locally)'
   };
 }
 
 /**
- * Performs basic rephrasing of harmful content
- * Used as a fallback when the AI service is unavailable
- * @param {string} text - The text to rephrase
- * @param {string} category - The harmful category
- * @return {string} - Rephrased text
+ * Picks the matches local rephrasing replaces word for word
+ * @param {Array} matches - Matches from findLocalMatches
+ * @return {Array} - Matches with a replacement, sorted by start
+ */
+function getReplacementMatches(matches) {
+  const starOut = match => ({ ...match, replacement: '*'.repeat(match.term.replace(/\s/g, '').length) });
+  
+  // Custom terms can be listed without a replacement; those are starred out
+  const termMatches = matches.filter(match => !match.pattern)
+    .map(match => match.replacement ? match : starOut(match));
+  
+  // Masked swear words only caught by a pattern are starred out
+  const maskedMatches = [];
+  matches.filter(match => match.pattern && match.category === 'offensive' && MASK_CHARACTER_PATTERN.test(match.term)).forEach(match => {
+    const overlaps = other => other.start < match.end && match.start < other.end;
+    if (!termMatches.some(overlaps) && !maskedMatches.some(overlaps)) {
+      maskedMatches.push(starOut(match));
+    }
+  });
+  
+  return termMatches.concat(maskedMatches).sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Gives a replacement the capitalization of the word it replaces
+ * @param {string} replacement - The replacement text
+ * @param {string} original - The original word
+ * @return {string} - The replacement, upper-cased or capitalized to match
  */
-function localRephrase(text, category) {
-  let rephrased = text;
-  
-  // Basic word replacements
-  const replacements = {
-    // Offensive words
-    'fuck': '****',
-    'shit': '****',
-    'bitch': '*****',
-    'ass': '***',
-    // Harmful words
-    'kill': 'harm',
-    'bomb': 'device',
-    'weapon': 'tool',
-    // Inappropriate words
-    'porn': 'content',
-    'nude': 'unclothed',
-    'sex': 'intimacy'
+function matchCase(replacement, original) {
+  const letters = original.replace(/[^\p{L}]/gu, '');
+  if (letters.length > 1 && letters === letters.toUpperCase() && letters !== letters.toLowerCase()) {
+    return replacement.toUpperCase();
+  }
+  if (letters && letters[0] !== letters[0].toLowerCase()) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+}
+
+/**
+ * Finds how an English lexicon term is formed from another lexicon term with the same replacement,
+ * like killing from kill, so the replacement can be given the same form
+ * @param {string} term - The lexicon term
+ * @param {string} replacement - The term's replacement
+ * @return {string|null} - 's', 'ing', 'ed' or 'er', or null if the term isn't formed from another
+ */
+function getTermForm(term, replacement) {
+  const replacementOf = candidate => {
+    const match = self.AIGuardianLexicon.findLexiconMatches(getLexicon(), candidate, ['en'])
+      .find(found => found.start === 0 && found.end === candidate.length);
+    return match && match.replacement;
   };
   
-  // Apply replacements
-  for (const [word, replacement] of Object.entries(replacements)) {
-    const regex = new RegExp(`\\b${word}\\b`, 'gi');
-    rephrased = rephrased.replace(regex, replacement);
+  for (const { suffix, form } of TERM_ENDINGS) {
+    if (!term.endsWith(suffix) || term.length <= suffix.length + 1 || (suffix === 's' && term.endsWith('ss'))) {
+      continue;
+    }
+    
+    // The stem may have dropped a final -e (abusing) or doubled its last consonant (stabbing)
+    const stem = term.slice(0, -suffix.length);
+    const stems = [stem, `${stem}e`];
+    if (/([^aeiou])\1$/.test(stem)) {
+      stems.push(stem.slice(0, -1));
+    }
+    if (stems.some(candidate => replacementOf(candidate) === replacement)) {
+      return form;
+    }
+  }
+  return null;
+}
+
+/**
+ * Gives an English replacement the form of the word it replaces
+ * @param {string} replacement - The replacement text
+ * @param {string} form - 's', 'ing', 'ed' or 'er', from getTermForm
+ * @return {string|null} - The replacement in that form, or null if it can't take it
+ */
+function inflectReplacement(replacement, form) {
+  const lastWord = (replacement.match(/\p{L}+$/u) || [''])[0].toLowerCase();
+  
+  if (form === 's') {
+    return INVARIANT_REPLACEMENTS.includes(lastWord) ? replacement : pluralize(replacement);
+  }
+  
+  // Nouns and adjectives have no -ing or -ed form, and agent nouns aren't formed reliably
+  if (form === 'er' || !VERB_REPLACEMENTS.includes(lastWord)) {
+    return null;
+  }
+  return replacement.replace(/\p{L}+$/u, word => {
+    const stem = word.endsWith('e') ? word.slice(0, -1) : word;
+    return form === 'ing' ? `${stem}ing` : `${stem}ed`;
+  });
+}
+
+/**
+ * Makes the last word of an English replacement plural
+ * @param {string} replacement - The replacement text
+ * @return {string} - The pluralized replacement
+ */
+function pluralize(replacement) {
+  return replacement.replace(/\p{L}+$/u, word => {
+    const lower = word.toLowerCase();
+    if (IRREGULAR_PLURALS[lower]) {
+      return IRREGULAR_PLURALS[lower];
+    }
+    if (/(s|x|z|ch|sh)$/.test(lower)) {
+      return `${word}es`;
+    }
+    if (/[^aeiou]y$/.test(lower)) {
+      return `${word.slice(0, -1)}ies`;
+    }
+    return `${word}s`;
+  });
+}
+
+/**
+ * Builds the modification for one replaced word, keeping the sentence grammatical:
+ * the replacement takes the word's capitalization and its plural, -ing or -ed form,
+ * and a preceding English "a" or "an" is changed to suit the replacement
+ * @param {string} text - The full text
+ * @param {Object} match - A match from getReplacementMatches
+ * @return {Object|null} - { type, range, original, replacement } modification,
+ *   or null if the replacement can't take the word's form
+ */
+function getWordModification(text, match) {
+  let start = match.start;
+  let replacement = match.replacement;
+  const isEnglishWord = match.lang === 'en' && /\p{L}$/u.test(replacement);
+  
+  const form = isEnglishWord && match.lexiconTerm ? getTermForm(match.lexiconTerm, match.replacement) : null;
+  if (form) {
+    replacement = inflectReplacement(replacement, form);
+    if (replacement === null) {
+      return null;
+    }
   }
+  replacement = matchCase(replacement, match.term);
   
-  // For sentences with severe issues, add a replacement notice
-  if (category === 'harmful') {
-    rephrased = '[This content has been modified for safety reasons]';
+  if (isEnglishWord) {
+    const article = /(?<![\p{L}\p{M}\p{N}])(an?)(\s+)$/iu.exec(text.slice(0, start));
+    if (article) {
+      const wanted = /^[aeiou]/i.test(replacement) ? 'an' : 'a';
+      if (article[1].toLowerCase() !== wanted) {
+        start = article.index;
+        replacement = matchCase(wanted, article[1]) + article[2] + replacement;
+      }
+    }
   }
   
-  return rephrased;
+  return {
+    type: 'replace',
+    range: [start, match.end],
+    original: text.slice(start, match.end),
+    replacement
+  };
+}
+
+/**
+ * Applies replace modifications to text
+ * @param {string} text - The text to change
+ * @param {Array} modifications - Non-overlapping { range, replacement } modifications
+ * @param {number} offset - Offset of the text within the text the ranges refer to
+ * @return {string} - The changed text
+ */
+function applyReplacements(text, modifications, offset = 0) {
+  // Replace from the end so earlier offsets stay valid
+  const sorted = modifications.slice().sort((a, b) => b.range[0] - a.range[0]);
+  return sorted.reduce((result, { range, replacement }) =>
+    result.slice(0, range[0] - offset) + replacement + result.slice(range[1] - offset), text);
+}
+
+/**
+ * Rephrases text sentence by sentence, only rewriting sentences with flagged content
+ * Sentences matching a harmful phrase are replaced with a notice; elsewhere flagged
+ * words are replaced, keeping their capitalization and their plural, -ing or -ed form
+ * (a sentence whose replacement can't take that form gets the notice too)
+ * Used as a fallback when the AI service is unavailable
+ * @param {string} text - The text to rephrase
+ * @return {Object} - { rephrased, modifications, alteredSentences }: the rephrased text,
+ *   its { type, range, original, replacement } modifications, and the altered
+ *   sentences as { range, original, rephrased }
+ */
+function rephraseBySentence(text) {
+  const { matches } = findLocalMatches(text);
+  const replacementMatches = getReplacementMatches(matches);
+  const modifications = [];
+  const alteredSentences = [];
+  
+  getSentences(text).forEach(sentence => {
+    const inSentence = match => match.start >= sentence.start && match.start < sentence.end;
+    const describesHarm = matches.some(match => match.pattern && match.category === 'harmful' && inSentence(match));
+    const wordModifications = describesHarm
+      ? []
+      : replacementMatches.filter(inSentence).map(match => getWordModification(text, match));
+    
+    // A sentence that can't be reworded grammatically is replaced with the notice too
+    const sentenceModifications = describesHarm || wordModifications.includes(null)
+      ? [{ type: 'replace', range: [sentence.start, sentence.end], original: sentence.text, replacement: HARMFUL_SENTENCE_NOTICE }]
+      : wordModifications;
+    
+    if (sentenceModifications.length > 0) {
+      modifications.push(...sentenceModifications);
+      alteredSentences.push({
+        range: [sentence.start, sentence.end],
+        original: sentence.text,
+        rephrased: applyReplacements(sentence.text, sentenceModifications, sentence.start)
+      });
+    }
+  });
+  
+  return {
+    rephrased: applyReplacements(text, modifications),
+    modifications,
+    alteredSentences
+  };
+}
+
+/**
+ * Performs basic rephrasing of harmful content
+ * Used as a fallback when the AI service is unavailable
+ * @param {string} text - The text to rephrase
+ * @return {string} - Rephrased text
+ */
+function localRephrase(text) {
+  return rephraseBySentence(text).rephrased;
 }
 
 // Export utilities for use in other scripts
-window.AIGuardianUtils = {
+// `self` is the window in pages and content scripts, and the global scope in the service worker
+self.AIGuardianUtils = {
   tokenizeText,
   calculateLocalToxicityScore,
-  localRephrase
+  detectLanguage,
+  localRephrase,
+  rephraseBySentence,
+  setLexicon
 };
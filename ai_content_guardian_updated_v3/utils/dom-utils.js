@@ -3,6 +3,8 @@
 
 /**
  * Safely extracts text from DOM elements while preserving structure
+ * Text node contents are trimmed and joined with single spaces; each range in
+ * the mapping is an offset into the returned text
  * @param {Element} element - The DOM element to extract text from
  * @return {Object} - Text content and mapping to original DOM structure
  */
@@ -15,17 +17,23 @@ function extractTextWithMapping(element) {
   // Recursively process the DOM tree
   function processNode(node) {
     if (node.nodeType === TEXT_NODE) {
-      const text = node.textContent.trim();
+      const rawText = node.textContent;
+      const text = rawText.trim();
       if (text.length > 0) {
         const startIndex = currentIndex;
-        currentIndex += text.length;
-        // Map the text range to this node
-        nodeMapping.set([startIndex, currentIndex], node);
+        const endIndex = startIndex + text.length;
+        // Map the text range to this node, with the offset of the trimmed text inside it
+        nodeMapping.set([startIndex, endIndex], {
+          node,
+          offset: rawText.length - rawText.trimStart().length
+        });
         textPieces.push(text);
+        // Account for the space that joins pieces together
+        currentIndex = endIndex + 1;
       }
     } else if (node.nodeType === Node.ELEMENT_NODE) {
-      // Skip AI Guardian elements
-      if (node.classList && Array.from(node.classList).some(c => c.startsWith('ai-guardian-'))) {
+      // Skip AI Guardian elements (the root itself may carry state classes)
+      if (node !== element && node.classList && Array.from(node.classList).some(c => c.startsWith('ai-guardian-'))) {
         return;
       }
       
@@ -56,13 +64,17 @@ function applyModifications(element, textMapping, modifications) {
   modifications.forEach(mod => {
     const [start, end] = mod.range;
     
-    // Find the node(s) containing this range
-    const affectedNodes = findNodesInRange(textMapping, start, end);
+    // Find the node(s) containing this range, skipping nodes the page has since removed
+    const affectedNodes = findNodesInRange(textMapping, start, end)
+      .filter(({ node }) => node.isConnected);
+    if (affectedNodes.length === 0) {
+      return;
+    }
     
     // Apply the appropriate modification
     switch (mod.type) {
       case 'highlight':
-        highlightNodes(affectedNodes, mod.category);
+        highlightNodes(affectedNodes, mod.category, mod.message);
         break;
       case 'replace':
         replaceText(affectedNodes, mod.original, mod.replacement);
@@ -84,13 +96,14 @@ function applyModifications(element, textMapping, modifications) {
 function findNodesInRange(mapping, start, end) {
   const affectedNodes = [];
   
-  mapping.forEach((node, range) => {
+  mapping.forEach(({ node, offset }, range) => {
     const [nodeStart, nodeEnd] = range;
     
     // Check if ranges overlap
     if (!(end <= nodeStart || start >= nodeEnd)) {
       affectedNodes.push({
         node,
+        offset,
         overlap: [
           Math.max(start, nodeStart),
           Math.min(end, nodeEnd)
@@ -104,55 +117,98 @@ function findNodesInRange(mapping, start, end) {
 }
 
 /**
- * Highlights text nodes with a specific style
+ * Highlights the characters in a range with a specific style
  * @param {Array} nodes - Affected nodes with ranges
  * @param {string} category - Category for styling (harmful, offensive, etc.)
+ * @param {string} message - Optional tooltip explaining the highlight
  */
-function highlightNodes(nodes, category) {
-  nodes.forEach(({ node }) => {
-    const parent = node.parentNode;
+function highlightNodes(nodes, category, message) {
+  // Work backwards so splitting a node never shifts a later piece
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    const { node, offset, overlap, range } = nodes[i];
+    const relativeStart = overlap[0] - range[0] + offset;
+    const relativeEnd = overlap[1] - range[0] + offset;
+    
+    // Isolate the highlighted characters in their own text node
+    const target = node.splitText(relativeStart);
+    target.splitText(relativeEnd - relativeStart);
+    
     const span = document.createElement('span');
     span.className = `ai-guardian-highlight ai-guardian-${category}`;
+    if (message) {
+      span.title = message;
+    }
     
     // Replace the text node with the highlighted span
-    parent.replaceChild(span, node);
-    span.appendChild(node);
+    target.parentNode.replaceChild(span, target);
+    span.appendChild(target);
+  }
+}
+
+/**
+ * Removes highlights added by highlightNodes inside an element
+ * @param {Element|Document} element - The element (or whole document) to clean up
+ */
+function removeHighlights(element) {
+  element.querySelectorAll('.ai-guardian-highlight').forEach(span => {
+    const parent = span.parentNode;
+    while (span.firstChild) {
+      parent.insertBefore(span.firstChild, span);
+    }
+    parent.removeChild(span);
+    // Merge the split text nodes back together
+    parent.normalize();
   });
 }
 
 /**
- * Replaces text in nodes
+ * Replaces text in nodes, touching only the characters in the range
+ * Each replaced piece is wrapped in a span that keeps the original text, and
+ * when a range spans several nodes the replacement goes in the first one
  * @param {Array} nodes - Affected nodes with ranges
  * @param {string} original - Original text
  * @param {string} replacement - Replacement text
  */
 function replaceText(nodes, original, replacement) {
-  nodes.forEach(({ node, overlap, range }) => {
-    const nodeText = node.textContent;
+  // Work backwards so splitting a node never shifts a later piece
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    const { node, offset, overlap, range } = nodes[i];
     const [overlapStart, overlapEnd] = overlap;
-    const [rangeStart, rangeEnd] = range;
+    const [rangeStart] = range;
     
     // Calculate relative position within this node
-    const relativeStart = overlapStart - rangeStart;
-    const relativeEnd = overlapEnd - rangeStart;
+    const relativeStart = overlapStart - rangeStart + offset;
+    const relativeEnd = overlapEnd - rangeStart + offset;
     
-    // Create the new text by replacing the overlapping part
-    const newText = 
-      nodeText.substring(0, relativeStart) + 
-      replacement + 
-      nodeText.substring(relativeEnd);
+    // Isolate the replaced characters in their own text node
+    const target = node.splitText(relativeStart);
+    target.splitText(relativeEnd - relativeStart);
     
     // Create a wrapper for replaced text
-    const parent = node.parentNode;
     const wrapper = document.createElement('span');
     wrapper.className = 'ai-guardian-replaced';
-    wrapper.textContent = newText;
+    wrapper.textContent = i === 0 ? replacement : '';
     
-    // Store original text as data attribute
-    wrapper.setAttribute('data-original-text', nodeText);
+    // Store original and replacement text as data attributes so they can be toggled
+    wrapper.setAttribute('data-original-text', target.textContent);
+    wrapper.setAttribute('data-replacement-text', wrapper.textContent);
     
     // Replace the node
-    parent.replaceChild(wrapper, node);
+    target.parentNode.replaceChild(wrapper, target);
+  }
+}
+
+/**
+ * Restores text replaced by replaceText inside an element
+ * @param {Element|Document} element - The element (or whole document) to restore
+ */
+function restoreReplacedText(element) {
+  element.querySelectorAll('.ai-guardian-replaced').forEach(wrapper => {
+    const parent = wrapper.parentNode;
+    const original = document.createTextNode(wrapper.getAttribute('data-original-text') || '');
+    parent.replaceChild(original, wrapper);
+    // Merge the split text nodes back together
+    parent.normalize();
   });
 }
 
@@ -197,6 +253,8 @@ window.DOMGuardianUtils = {
   applyModifications,
   findNodesInRange,
   highlightNodes,
+  removeHighlights,
   replaceText,
+  restoreReplacedText,
   addWarningToNodes
 };
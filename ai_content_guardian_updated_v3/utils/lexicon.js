@@ -0,0 +1,398 @@
+// AI Content Guardian - Lexicon Utilities
+// Compiles the term dictionary (replacements_large.csv) into a fast multi-term matcher
+
+// Letters, combining marks and digits continue a word; marks matter for scripts like Devanagari
+const WORD_CHAR_PATTERN = /[\p{L}\p{M}\p{N}_]/u;
+
+// Characters dropped before matching: soft hyphens, zero-width spaces and joiners, direction marks and BOMs
+const INVISIBLE_CHAR_PATTERN = /[\u00AD\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/;
+
+// Letters from other alphabets that look like Latin letters, folded to the letter they imitate
+const CONFUSABLE_CHARS = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'з': '3', 'і': 'i', 'ј': 'j', 'к': 'k', 'м': 'm', 'н': 'h',
+  'о': 'o', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w',
+  'А': 'a', 'В': 'b', 'Е': 'e', 'К': 'k', 'М': 'm', 'Н': 'h', 'О': 'o', 'Р': 'p', 'С': 'c', 'Т': 't',
+  'У': 'y', 'Х': 'x', 'І': 'i', 'Ј': 'j', 'Ѕ': 's',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u',
+  'χ': 'x', 'Α': 'a', 'Β': 'b', 'Ε': 'e', 'Ι': 'i', 'Κ': 'k', 'Μ': 'm', 'Ν': 'n', 'Ο': 'o', 'Ρ': 'p',
+  'Τ': 't', 'Υ': 'y', 'Χ': 'x', 'Ζ': 'z',
+  'μ': 'u', 'ƒ': 'f', 'ɡ': 'g', 'ı': 'i', 'ȷ': 'j', 'ℓ': 'l', '¢': 'c'
+};
+
+// Digits and symbols standing in for letters inside words
+const LEET_CHARS = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'l'
+};
+
+// Leet symbols that are also ordinary punctuation, so they only count between two letters
+const LEET_PUNCTUATION = ['!', '|'];
+
+// Characters put between the letters of a spaced-out word like "f u c k" or "f.u.c.k"
+const LETTER_SEPARATOR_PATTERN = /[\s.\-_·•,:;\/\\~]/;
+
+// Fewest letters a spaced-out word needs, so ordinary single-letter words are left alone
+const MIN_SPACED_LETTERS = 3;
+
+/**
+ * Parses lexicon rows from CSV text in the replacements_large.csv format
+ * Duplicate terms within a language are collapsed, keeping the first occurrence
+ * @param {string} csvText - CSV text with a header row (term,category,replacement,lang)
+ *   Rows without a lang value are English
+ * @return {Array} - Array of { term, category, replacement, lang } entries
+ */
+function parseLexiconCsv(csvText) {
+  const lines = csvText.split(/\r?\n/).filter(line => line.trim().length > 0);
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = parseCsvLine(lines[0]).map(column => column.trim().toLowerCase());
+  const entries = [];
+  const seenTerms = new Set();
+
+  for (let i = 1; i < lines.length; i++) {
+    const values = parseCsvLine(lines[i]);
+    const row = {};
+    header.forEach((column, index) => {
+      row[column] = (values[index] || '').trim();
+    });
+
+    const term = row.term && row.term.toLowerCase();
+    const lang = (row.lang || 'en').toLowerCase();
+    if (!term || !row.category || seenTerms.has(`${lang}:${term}`)) {
+      continue;
+    }
+
+    seenTerms.add(`${lang}:${term}`);
+    entries.push({
+      term,
+      category: row.category.toLowerCase(),
+      replacement: row.replacement || '',
+      lang
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Splits a single CSV line into fields, honouring double-quoted values
+ * @param {string} line - The CSV line
+ * @return {Array} - Array of field strings
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+
+    if (inQuotes) {
+      if (ch === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+
+  fields.push(current);
+  return fields;
+}
+
+/**
+ * Builds an Aho-Corasick automaton so every term can be found in a single pass
+ * @param {Array} entries - Array of { term, category, replacement, lang } entries
+ *   Entries without a lang are English
+ * @return {Object} - Compiled lexicon used by findLexiconMatches
+ */
+function buildLexicon(entries) {
+  const nodes = [{ next: new Map(), fail: 0, output: [] }];
+  const compiledEntries = [];
+
+  // Build the trie of lower-cased terms
+  entries.forEach(entry => {
+    const term = entry.term.toLowerCase();
+    if (!term) {
+      return;
+    }
+
+    let state = 0;
+    for (let i = 0; i < term.length; i++) {
+      const ch = term[i];
+      if (!nodes[state].next.has(ch)) {
+        nodes.push({ next: new Map(), fail: 0, output: [] });
+        nodes[state].next.set(ch, nodes.length - 1);
+      }
+      state = nodes[state].next.get(ch);
+    }
+
+    nodes[state].output.push(compiledEntries.length);
+    compiledEntries.push({ ...entry, term, lang: entry.lang || 'en' });
+  });
+
+  // Breadth-first pass to compute failure links and merged outputs
+  const queue = Array.from(nodes[0].next.values());
+  for (let head = 0; head < queue.length; head++) {
+    const state = queue[head];
+
+    nodes[state].next.forEach((child, ch) => {
+      let fail = nodes[state].fail;
+      while (fail !== 0 && !nodes[fail].next.has(ch)) {
+        fail = nodes[fail].fail;
+      }
+
+      const target = nodes[fail].next.get(ch);
+      nodes[child].fail = target !== undefined && target !== child ? target : 0;
+      nodes[child].output = nodes[child].output.concat(nodes[nodes[child].fail].output);
+      queue.push(child);
+    });
+  }
+
+  return {
+    nodes,
+    entries: compiledEntries,
+    size: compiledEntries.length
+  };
+}
+
+/**
+ * Finds whole-word lexicon terms in text
+ * Overlapping matches are resolved leftmost-longest
+ * @param {Object} lexicon - Compiled lexicon from buildLexicon
+ * @param {string} text - The text to search
+ * @param {Array} [languages] - Only match terms in these languages; all languages if omitted
+ * @return {Array} - Array of { start, end, term, category, replacement, lang } matches
+ */
+function findLexiconMatches(lexicon, text, languages) {
+  if (!lexicon || !text) {
+    return [];
+  }
+
+  const { nodes, entries } = lexicon;
+  const candidates = [];
+  let state = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = foldChar(text[i]);
+
+    while (state !== 0 && !nodes[state].next.has(ch)) {
+      state = nodes[state].fail;
+    }
+    state = nodes[state].next.get(ch) || 0;
+
+    nodes[state].output.forEach(entryIndex => {
+      const entry = entries[entryIndex];
+      if (languages && !languages.includes(entry.lang)) {
+        return;
+      }
+
+      const start = i - entry.term.length + 1;
+      const end = i + 1;
+
+      if (isWordBoundary(text, start - 1) && isWordBoundary(text, end)) {
+        candidates.push({
+          start,
+          end,
+          term: entry.term,
+          category: entry.category,
+          replacement: entry.replacement,
+          lang: entry.lang
+        });
+      }
+    });
+  }
+
+  // Keep the leftmost, longest match where terms overlap
+  candidates.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+  const matches = [];
+  let lastEnd = -1;
+  candidates.forEach(match => {
+    if (match.start >= lastEnd) {
+      matches.push(match);
+      lastEnd = match.end;
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Lower-cases a single character without changing its length,
+ * so match offsets always line up with the original text
+ * @param {string} ch - A single UTF-16 code unit
+ * @return {string} - The folded character
+ */
+function foldChar(ch) {
+  const lower = ch.toLowerCase();
+  return lower.length === 1 ? lower : ch;
+}
+
+/**
+ * Checks whether the character at an index does not continue a word
+ * @param {string} text - The text being searched
+ * @param {number} index - Index to check (may be out of range)
+ * @return {boolean} - True if there is no word character at the index
+ */
+function isWordBoundary(text, index) {
+  if (index < 0 || index >= text.length) {
+    return true;
+  }
+  return !WORD_CHAR_PATTERN.test(text[index]);
+}
+
+/**
+ * Normalizes text so obfuscated spellings match lexicon terms and patterns
+ * Applies NFKC, folds lookalike letters, maps leetspeak inside words,
+ * and removes invisible characters and the separators in spaced-out words
+ * @param {string} text - The original text
+ * @return {Object} - { text, starts, ends }: the normalized text, and for each of its
+ *   characters the range of original characters it came from
+ */
+function normalizeForMatching(text) {
+  const chars = [];
+
+  // Per character: drop invisible characters, apply compatibility forms and fold lookalikes
+  for (let i = 0; i < text.length;) {
+    const original = String.fromCodePoint(text.codePointAt(i));
+    const end = i + original.length;
+
+    if (!INVISIBLE_CHAR_PATTERN.test(original)) {
+      for (const part of original.normalize('NFKC')) {
+        const folded = CONFUSABLE_CHARS[part] || part;
+        for (let k = 0; k < folded.length; k++) {
+          chars.push({ ch: folded[k], start: i, end });
+        }
+      }
+    }
+    i = end;
+  }
+
+  mapLeetChars(chars);
+  removeLetterSeparators(chars);
+
+  return {
+    text: chars.map(char => char.ch).join(''),
+    starts: chars.map(char => char.start),
+    ends: chars.map(char => char.end)
+  };
+}
+
+/**
+ * Replaces leetspeak digits and symbols with letters, only in runs that contain a real letter
+ * so numbers and prices are left alone
+ * @param {Array} chars - Normalized characters, updated in place
+ */
+function mapLeetChars(chars) {
+  const isLetter = char => char && /[\p{L}\p{M}]/u.test(char.ch);
+  const isRunChar = char => char && (isLetter(char) || char.ch in LEET_CHARS || /\p{N}/u.test(char.ch));
+
+  for (let runStart = 0; runStart < chars.length;) {
+    if (!isRunChar(chars[runStart])) {
+      runStart++;
+      continue;
+    }
+
+    let runEnd = runStart;
+    while (isRunChar(chars[runEnd])) {
+      runEnd++;
+    }
+
+    const run = chars.slice(runStart, runEnd);
+    if (run.some(isLetter)) {
+      run.forEach((char, index) => {
+        const isPunctuation = LEET_PUNCTUATION.includes(char.ch);
+        if (char.ch in LEET_CHARS && (!isPunctuation || (isLetter(run[index - 1]) && isLetter(run[index + 1])))) {
+          char.ch = LEET_CHARS[char.ch];
+        }
+      });
+    }
+    runStart = runEnd;
+  }
+}
+
+/**
+ * Joins spaced-out words like "f u c k" by removing the single separators between their letters
+ * @param {Array} chars - Normalized characters, updated in place
+ */
+function removeLetterSeparators(chars) {
+  const isWordChar = index => index >= 0 && index < chars.length && WORD_CHAR_PATTERN.test(chars[index].ch);
+  const isSeparator = index => index < chars.length && LETTER_SEPARATOR_PATTERN.test(chars[index].ch);
+  const removed = new Set();
+
+  for (let i = 0; i < chars.length; i++) {
+    // Look for a lone letter followed by more lone letters, one separator apart
+    if (!isWordChar(i) || isWordChar(i - 1) || isWordChar(i + 1)) {
+      continue;
+    }
+
+    let last = i;
+    let letters = 1;
+    while (isSeparator(last + 1) && isWordChar(last + 2) && !isWordChar(last + 3)) {
+      last += 2;
+      letters++;
+    }
+
+    if (letters >= MIN_SPACED_LETTERS) {
+      for (let separator = i + 1; separator < last; separator += 2) {
+        removed.add(separator);
+      }
+    }
+    i = last;
+  }
+
+  if (removed.size > 0) {
+    const kept = chars.filter((char, index) => !removed.has(index));
+    chars.length = 0;
+    chars.push(...kept);
+  }
+}
+
+/**
+ * Maps a range in normalized text back to the original text
+ * @param {Object} normalized - Result of normalizeForMatching
+ * @param {number} start - Start offset in the normalized text
+ * @param {number} end - End offset (exclusive) in the normalized text
+ * @return {Array} - [start, end] offsets in the original text
+ */
+function mapNormalizedRange(normalized, start, end) {
+  return [normalized.starts[start], normalized.ends[end - 1]];
+}
+
+/**
+ * Fetches and compiles a lexicon CSV
+ * @param {string} url - URL of the CSV file
+ * @return {Promise<Object>} - Compiled lexicon
+ */
+async function loadLexicon(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load lexicon (status ${response.status})`);
+  }
+
+  const csvText = await response.text();
+  return buildLexicon(parseLexiconCsv(csvText));
+}
+
+// Export utilities for use in other scripts
+self.AIGuardianLexicon = {
+  parseLexiconCsv,
+  buildLexicon,
+  findLexiconMatches,
+  normalizeForMatching,
+  mapNormalizedRange,
+  loadLexicon
+};